@@ -1,4 +1,21 @@
+const projects = require("./_config/projects");
+const albums = require("./_config/albums");
+const intro = require("./_config/intro");
+const ratings = require("./_config/ratings");
+const serviceWorker = require("./_config/service-worker");
+
 module.exports = function(eleventyConfig) {
+  // Project catalog (validated at build time)
+  eleventyConfig.addPlugin(projects);
+  // Photography albums with EXIF metadata
+  eleventyConfig.addPlugin(albums);
+  // Homepage intro script (validated at build time)
+  eleventyConfig.addPlugin(intro);
+  // Letterboxd ratings as stars (filters, shared with the reviews data)
+  eleventyConfig.addPlugin(ratings);
+  // Offline support: sw.js generated from the build output
+  eleventyConfig.addPlugin(serviceWorker);
+
   // Pass through static assets
   eleventyConfig.addPassthroughCopy("src/css");
   eleventyConfig.addPassthroughCopy("src/js");
@@ -9,6 +26,16 @@ module.exports = function(eleventyConfig) {
   // Watch for changes
   eleventyConfig.addWatchTarget("src/css/");
   eleventyConfig.addWatchTarget("src/js/");
+  eleventyConfig.addWatchTarget("_config/");
+
+  // Filters
+  // Build data for inline scripts (the intro script, the theme list): JSON
+  // safe to embed in a <script> block, since "<" can't close the tag
+  eleventyConfig.addFilter("jsonScript", value => JSON.stringify(value).replace(/</g, "\\u003c"));
+  const escapeHtml = str => String(str)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  // Inline **bold** markup used in project bullets
+  eleventyConfig.addFilter("strong", str => escapeHtml(str).replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>"));
 
   // (Optional) HTML minification can be added here; currently disabled to avoid build-time parse issues.
 
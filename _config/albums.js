@@ -0,0 +1,212 @@
+// Photography albums: reads src/_data/albums.json, validates it, fills in
+// date/camera/lens/settings from each photo's EXIF and exposes the result as
+// `collections.albums`. Anything set in albums.json wins over EXIF, so a wrong
+// camera clock or a missing lens can be corrected there.
+// Each photo is also resized into AVIF/WebP/JPEG at a few widths, with a tiny
+// JPEG inlined as the placeholder the card shows while the real image loads.
+
+const fs = require("fs");
+const path = require("path");
+const exifr = require("exifr");
+const Image = require("@11ty/eleventy-img");
+
+const ALBUMS_FILE = "src/_data/albums.json";
+const PHOTO_DIR = "src/assets/photos";
+// Resized copies stay under /assets/photos/ so the service worker caches them on view
+const SIZED_URL = "/assets/photos/sized/";
+const IMAGE_WIDTHS = [400, 800, 1600];
+const IMAGE_FORMATS = ["avif", "webp", "jpeg"];
+const PLACEHOLDER_WIDTH = 24;
+
+const isNonEmptyString = value => typeof value === "string" && value.trim() !== "";
+const isOptionalString = value => value === undefined || typeof value === "string";
+const isSlug = value => typeof value === "string" && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value);
+const isFileName = value => isNonEmptyString(value) && !/[\\/]/.test(value);
+const isDateOrEmpty = value => value === undefined || value === "" || /^\d{4}-\d{2}-\d{2}$/.test(value);
+// Alt text that only names the photo ("Street photograph 4", "IMG_0042") tells
+// a screen reader nothing about it
+const isGenericAlt = ({ alt, file }) => {
+  const text = alt.trim().toLowerCase();
+  return /^(\w+ )?(photo|photograph|picture|image|img|shot)[\s_-]*\d*$/.test(text) ||
+    text === file.toLowerCase() || text === path.parse(file).name.toLowerCase();
+};
+
+const ALBUM_SCHEMA = {
+  slug: [isSlug, "a lowercase, hyphenated slug"],
+  title: [isNonEmptyString, "a non-empty string"],
+  cover: [isFileName, "the file name of one of its photos"],
+  photos: [value => Array.isArray(value) && value.length > 0, "a non-empty array"]
+};
+
+const PHOTO_SCHEMA = {
+  file: [isFileName, "a file name in src/assets/photos"],
+  alt: [isNonEmptyString, "a non-empty string"],
+  caption: [isOptionalString, "a string"],
+  date: [isDateOrEmpty, "a YYYY-MM-DD date"],
+  location: [isOptionalString, "a string"],
+  camera: [isOptionalString, "a string"],
+  lens: [isOptionalString, "a string"],
+  settings: [isOptionalString, "a string"]
+};
+
+const OPTIONAL_PHOTO_FIELDS = ["caption", "date", "location", "camera", "lens", "settings"];
+
+function checkFields(value, schema, required) {
+  const errors = [];
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return ["must be a JSON object"];
+  }
+  for (const [field, [check, expected]] of Object.entries(schema)) {
+    if (!(field in value)) {
+      if (required.includes(field)) errors.push(`missing "${field}"`);
+    } else if (!check(value[field])) {
+      errors.push(`"${field}" must be ${expected}`);
+    }
+  }
+  for (const field of Object.keys(value)) {
+    if (!(field in schema)) errors.push(`unknown field "${field}"`);
+  }
+  return errors;
+}
+
+function validateAlbums(albums) {
+  const problems = [];
+  if (!Array.isArray(albums) || !albums.length) {
+    return [`  ${ALBUMS_FILE} must be a non-empty array of albums`];
+  }
+
+  const slugs = new Set();
+  albums.forEach((album, i) => {
+    const where = `  ${ALBUMS_FILE}: album ${album && album.slug ? `"${album.slug}"` : i + 1}`;
+    checkFields(album, ALBUM_SCHEMA, Object.keys(ALBUM_SCHEMA)).forEach(error => problems.push(`${where}: ${error}`));
+    if (!album || !Array.isArray(album.photos)) return;
+
+    if (slugs.has(album.slug)) problems.push(`${where}: duplicate slug`);
+    slugs.add(album.slug);
+
+    album.photos.forEach((photo, j) => {
+      const errors = checkFields(photo, PHOTO_SCHEMA, ["file", "alt"]);
+      errors.forEach(error => problems.push(`${where}, photo ${j + 1}: ${error}`));
+      // Placeholder entries (no image yet) only warn, see buildAlbums
+      if (!errors.length && isGenericAlt(photo) && fs.existsSync(path.join(PHOTO_DIR, photo.file))) {
+        problems.push(`${where}, photo ${j + 1}: "alt" must describe the photo, not just name it`);
+      }
+    });
+    if (!album.photos.some(photo => photo && photo.file === album.cover)) {
+      problems.push(`${where}: cover "${album.cover}" is not one of its photos`);
+    }
+  });
+  return problems;
+}
+
+// EXIF times have no zone and are read as local time, so format in local time too
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// "1/250s", "2s"
+function formatShutter(seconds) {
+  return seconds < 1 ? `1/${Math.round(1 / seconds)}s` : `${seconds}s`;
+}
+
+async function readExif(file) {
+  const exif = await exifr.parse(file, [
+    "DateTimeOriginal", "Make", "Model", "LensModel", "FNumber", "ExposureTime", "ISO", "FocalLength"
+  ]).catch(() => null);
+  if (!exif) return {};
+
+  const { DateTimeOriginal: taken, Make: make, Model: model } = exif;
+  const settings = [
+    exif.FocalLength && `${Math.round(exif.FocalLength)}mm`,
+    exif.FNumber && `ƒ/${exif.FNumber}`,
+    exif.ExposureTime && formatShutter(exif.ExposureTime),
+    exif.ISO && `ISO ${exif.ISO}`
+  ].filter(Boolean).join(" · ");
+
+  return {
+    date: taken instanceof Date && !isNaN(taken) ? formatDate(taken) : "",
+    // Most cameras repeat the make in the model ("Canon" + "Canon EOS R6")
+    camera: model && make && !model.startsWith(make) ? `${make} ${model}` : (model || make || ""),
+    lens: exif.LensModel || "",
+    settings
+  };
+}
+
+// <picture> sources plus a fallback <img>; null if the photo can't be processed
+async function buildImage(file, outputDir) {
+  try {
+    const [sized, tiny] = await Promise.all([
+      Image(file, { widths: IMAGE_WIDTHS, formats: IMAGE_FORMATS, outputDir, urlPath: SIZED_URL }),
+      Image(file, { widths: [PLACEHOLDER_WIDTH], formats: ["jpeg"], dryRun: true })
+    ]);
+    const srcset = format => sized[format].map(entry => entry.srcset).join(", ");
+    const largest = sized.jpeg[sized.jpeg.length - 1];
+    return {
+      sources: ["avif", "webp"].map(format => ({ type: sized[format][0].sourceType, srcset: srcset(format) })),
+      src: largest.url,
+      srcset: srcset("jpeg"),
+      width: largest.width,
+      height: largest.height,
+      placeholder: `data:image/jpeg;base64,${tiny.jpeg[0].buffer.toString("base64")}`
+    };
+  } catch (error) {
+    console.warn(`[albums] could not resize ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+async function buildAlbums(albums, outputDir) {
+  const problems = validateAlbums(albums);
+  if (problems.length) {
+    throw new Error(`Invalid albums:\n${problems.join("\n")}`);
+  }
+
+  const missing = [];
+  const result = await Promise.all(albums.map(async album => {
+    const photos = await Promise.all(album.photos.map(async photo => {
+      const file = path.join(PHOTO_DIR, photo.file);
+      let exif = {};
+      let image = null;
+      if (fs.existsSync(file)) {
+        [exif, image] = await Promise.all([readExif(file), buildImage(file, outputDir)]);
+      } else {
+        missing.push(photo.file);
+      }
+
+      const merged = { file: photo.file, src: `/assets/photos/${photo.file}`, alt: photo.alt, image };
+      for (const field of OPTIONAL_PHOTO_FIELDS) {
+        merged[field] = photo[field] || exif[field] || "";
+      }
+      return merged;
+    }));
+
+    // The cover goes first: it's the top card of the deck
+    const cover = photos.find(photo => photo.file === album.cover);
+    return { ...album, photos: [cover, ...photos.filter(photo => photo !== cover)] };
+  }));
+
+  if (missing.length) {
+    console.warn(`[albums] ${missing.length} photo(s) not in ${PHOTO_DIR}, so no EXIF or resized copies for: ${missing.join(", ")}`);
+  }
+  const placeholderAlt = albums.flatMap(album => album.photos).filter(photo => missing.includes(photo.file) && isGenericAlt(photo));
+  if (placeholderAlt.length) {
+    console.warn(`[albums] ${placeholderAlt.length} photo(s) need alt text that describes them before their images are added: ${placeholderAlt.map(photo => photo.file).join(", ")}`);
+  }
+  return result;
+}
+
+module.exports = function(eleventyConfig) {
+  eleventyConfig.addCollection("albums", () => {
+    const albums = JSON.parse(fs.readFileSync(ALBUMS_FILE, "utf8"));
+    const outputDir = path.join(eleventyConfig.directories.output, SIZED_URL);
+    return buildAlbums(albums, outputDir);
+  });
+
+  // Album dates are YYYY-MM-DD; shown as "12 March 2024"
+  eleventyConfig.addFilter("longDate", value => value
+    ? new Date(`${value}T00:00:00Z`).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" })
+    : "");
+
+  eleventyConfig.addWatchTarget(PHOTO_DIR);
+};
@@ -0,0 +1,87 @@
+// Homepage intro: validates src/_data/intro.json before every build.
+// The script is played in the browser (see playIntroScript in script.js), where
+// a typo would only show up as a silently skipped step or an empty line.
+
+const fs = require("fs");
+
+const INTRO_FILE = "src/_data/intro.json";
+const CONDITIONS = ["morning", "afternoon", "evening", "night", "returning", "first-visit"];
+
+const isString = value => typeof value === "string";
+const isNonEmptyString = value => isString(value) && value.trim() !== "";
+const isPositiveNumber = value => Number.isFinite(value) && value > 0;
+const isCondition = value => CONDITIONS.includes(value);
+const isWhen = value => isCondition(value) || (Array.isArray(value) && value.length > 0 && value.every(isCondition));
+const isTextOption = value => value && typeof value === "object" && isString(value.text) &&
+  (value.when === undefined || isWhen(value.when)) && Object.keys(value).every(key => key === "text" || key === "when");
+
+// Per step type: field -> [check, expected, required]
+const STEP_SCHEMAS = {
+  type: {
+    text: [value => isString(value) || (Array.isArray(value) && value.length > 0 && value.every(isTextOption)),
+      "a string or a non-empty array of { text, when } options", true],
+    line: [value => Number.isInteger(value) && value > 0, "a line number from 1"],
+    speed: [isPositiveNumber, "a positive number of milliseconds"]
+  },
+  delete: {
+    count: [value => value === "all" || (Number.isInteger(value) && value > 0), `a positive number or "all"`],
+    speed: [isPositiveNumber, "a positive number of milliseconds"]
+  },
+  pause: {
+    duration: [value => Number.isFinite(value) && value >= 0, "a number of milliseconds", true]
+  },
+  rotate: {
+    words: [value => Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString),
+      "a non-empty array of strings", true],
+    interval: [isPositiveNumber, "a positive number of milliseconds"]
+  }
+};
+
+function validateStep(step) {
+  if (!step || typeof step !== "object" || Array.isArray(step)) return ["must be a JSON object"];
+  const schema = STEP_SCHEMAS[step.type];
+  if (!schema) return [`"type" must be one of ${Object.keys(STEP_SCHEMAS).join(", ")}`];
+
+  const errors = [];
+  for (const [field, [check, expected, required]] of Object.entries(schema)) {
+    if (!(field in step)) {
+      if (required) errors.push(`missing "${field}"`);
+    } else if (!check(step[field])) {
+      errors.push(`"${field}" must be ${expected}`);
+    }
+  }
+  if ("when" in step && !isWhen(step.when)) {
+    errors.push(`"when" must be one of ${CONDITIONS.join(", ")}, or a list of them`);
+  }
+  for (const field of Object.keys(step)) {
+    if (field !== "type" && field !== "when" && !(field in schema)) errors.push(`unknown field "${field}"`);
+  }
+  return errors;
+}
+
+function validateIntro(intro) {
+  if (!intro || typeof intro !== "object" || Array.isArray(intro)) return ["must be a JSON object"];
+
+  const problems = [];
+  if (!isString(intro.tagline)) problems.push(`"tagline" must be a string`);
+  if (!Array.isArray(intro.steps) || !intro.steps.length) {
+    problems.push(`"steps" must be a non-empty array`);
+  } else {
+    intro.steps.forEach((step, i) => {
+      validateStep(step).forEach(error => problems.push(`step ${i + 1}: ${error}`));
+    });
+  }
+  for (const field of Object.keys(intro)) {
+    if (field !== "tagline" && field !== "steps") problems.push(`unknown field "${field}"`);
+  }
+  return problems;
+}
+
+module.exports = function(eleventyConfig) {
+  eleventyConfig.on("eleventy.before", () => {
+    const problems = validateIntro(JSON.parse(fs.readFileSync(INTRO_FILE, "utf8")));
+    if (problems.length) {
+      throw new Error(`Invalid intro script:\n${problems.map(problem => `  ${INTRO_FILE}: ${problem}`).join("\n")}`);
+    }
+  });
+};
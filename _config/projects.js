@@ -0,0 +1,84 @@
+// Project catalog: reads src/_data/projects/*.json, validates every entry and
+// exposes them as `collections.projects`, sorted by `order`.
+// A malformed project fails the build instead of rendering an empty panel.
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_DIR = "src/_data/projects";
+const STATUSES = ["live", "done"];
+
+const isNonEmptyString = value => typeof value === "string" && value.trim() !== "";
+const isStringList = value => Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+const isUrlOrEmpty = value => value === "" || (typeof value === "string" && /^https?:\/\//.test(value));
+// Demos open in a new tab on the video's own page, never a bare embed player
+const isWatchUrlOrEmpty = value => isUrlOrEmpty(value) && !/\/embed\/|player\.vimeo\.com/.test(value);
+
+const SCHEMA = {
+  title: [isNonEmptyString, "a non-empty string"],
+  order: [Number.isFinite, "a number"],
+  stack: [isStringList, "a non-empty array of strings"],
+  status: [value => STATUSES.includes(value), `one of ${STATUSES.join(", ")}`],
+  repo: [isUrlOrEmpty, "an http(s) URL or an empty string"],
+  video: [isWatchUrlOrEmpty, "the demo's watch page URL (not an embed URL) or an empty string"],
+  description: [isNonEmptyString, "a non-empty string"],
+  tech: [isStringList, "a non-empty array of strings"],
+  ux: [isStringList, "a non-empty array of strings"]
+};
+
+function validateProject(slug, project) {
+  const errors = [];
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) {
+    errors.push(`file name "${slug}" must be a lowercase, hyphenated slug`);
+  }
+  if (!project || typeof project !== "object" || Array.isArray(project)) {
+    return [...errors, "must be a JSON object"];
+  }
+  for (const [field, [check, expected]] of Object.entries(SCHEMA)) {
+    if (!(field in project)) {
+      errors.push(`missing "${field}"`);
+    } else if (!check(project[field])) {
+      errors.push(`"${field}" must be ${expected}`);
+    }
+  }
+  for (const field of Object.keys(project)) {
+    if (!(field in SCHEMA)) errors.push(`unknown field "${field}"`);
+  }
+  return errors;
+}
+
+// slug -> parsed file; a file that isn't valid JSON is reported with the rest
+function readProjects(problems) {
+  const projects = {};
+  if (!fs.existsSync(PROJECT_DIR)) return projects;
+  for (const name of fs.readdirSync(PROJECT_DIR).filter(name => name.endsWith(".json"))) {
+    const slug = path.basename(name, ".json");
+    try {
+      projects[slug] = JSON.parse(fs.readFileSync(path.join(PROJECT_DIR, name), "utf8"));
+    } catch (error) {
+      problems.push(`  ${PROJECT_DIR}/${slug}: not valid JSON (${error.message})`);
+    }
+  }
+  return projects;
+}
+
+function buildCatalog() {
+  const problems = [];
+  const catalog = Object.entries(readProjects(problems)).map(([slug, project]) => {
+    validateProject(slug, project).forEach(error => {
+      problems.push(`  ${PROJECT_DIR}/${slug}: ${error}`);
+    });
+    return { ...project, slug };
+  });
+
+  if (!catalog.length && !problems.length) problems.push(`  no projects found in ${PROJECT_DIR}`);
+  if (problems.length) {
+    throw new Error(`Invalid project catalog:\n${problems.join("\n")}`);
+  }
+
+  return catalog.sort((a, b) => a.order - b.order);
+}
+
+module.exports = function(eleventyConfig) {
+  eleventyConfig.addCollection("projects", () => buildCatalog());
+};
@@ -0,0 +1,15 @@
+// Letterboxd ratings (0.5–5) as text: 3.5 -> "★★★½", "3.5 out of 5 stars".
+// The `stars` and `ratingLabel` filters use these, and so does
+// src/_data/reviews.js, which puts both on every review in /reviews.json so the
+// roulette and archive show ratings exactly as the review pages do.
+
+const stars = rating => rating ? "★".repeat(Math.floor(rating)) + (rating % 1 ? "½" : "") : "";
+const ratingLabel = rating => rating ? `${rating} out of 5 stars` : "Not rated";
+
+module.exports = function(eleventyConfig) {
+  eleventyConfig.addFilter("stars", stars);
+  eleventyConfig.addFilter("ratingLabel", ratingLabel);
+};
+
+module.exports.stars = stars;
+module.exports.ratingLabel = ratingLabel;
@@ -0,0 +1,57 @@
+// Service worker: after every build, lists the files Eleventy wrote to the
+// output folder and generates sw.js from src/sw.js with a precache manifest.
+// The version is a hash of that manifest, so any changed file ships a new
+// worker and a fresh precache.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const SOURCE = path.join(__dirname, "..", "src", "sw.js");
+const PRECACHE_EXTENSIONS = [
+  ".html", ".css", ".js", ".json", ".webmanifest", ".pdf",
+  ".svg", ".png", ".jpg", ".jpeg", ".webp", ".gif", ".ico", ".woff", ".woff2"
+];
+// The precache is the app shell: top-level pages, styles, scripts, icons and
+// the offline page. Album photos, video posters, review and project pages and
+// data files grow with the content, so they're cached as they're viewed (see src/sw.js)
+const RUNTIME_ONLY = [/^\/assets\/(photos|posters)\//, /^\/[^/]+\/.*\.html$/, /\.json$/];
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(file) : [file];
+  });
+}
+
+function buildManifest(outputDir) {
+  return listFiles(outputDir)
+    .map(file => ({ file, url: "/" + path.relative(outputDir, file).split(path.sep).join("/") }))
+    .filter(({ url }) => url !== "/sw.js" && PRECACHE_EXTENSIONS.includes(path.extname(url).toLowerCase()))
+    .filter(({ url }) => !RUNTIME_ONLY.some(pattern => pattern.test(url)))
+    .map(({ file, url }) => ({
+      url,
+      revision: crypto.createHash("md5").update(fs.readFileSync(file)).digest("hex").slice(0, 10)
+    }))
+    .sort((a, b) => a.url.localeCompare(b.url));
+}
+
+module.exports = function(eleventyConfig) {
+  eleventyConfig.addWatchTarget("src/sw.js");
+
+  // `directories` reflects --output and other overrides; `dir` does not
+  eleventyConfig.on("eleventy.after", ({ directories }) => {
+    const outputDir = path.resolve(directories.output);
+    const manifest = buildManifest(outputDir);
+    const version = crypto.createHash("md5").update(JSON.stringify(manifest)).digest("hex").slice(0, 10);
+
+    const header = [
+      "// Generated by _config/service-worker.js from src/sw.js. Do not edit.",
+      `const VERSION = ${JSON.stringify(version)};`,
+      `const PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};`,
+      ""
+    ].join("\n");
+
+    fs.writeFileSync(path.join(outputDir, "sw.js"), header + "\n" + fs.readFileSync(SOURCE, "utf8"));
+  });
+};
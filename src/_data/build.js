@@ -0,0 +1,7 @@
+// Identifies a deploy. Rendered into every page as <meta name="build"> so the
+// client-side page cache can tell pages from an older build apart.
+// GitHub Actions provides the commit SHA; local builds fall back to the time.
+
+module.exports = {
+  hash: (process.env.GITHUB_SHA || Date.now().toString(36)).slice(0, 12)
+};
@@ -0,0 +1,142 @@
+// Letterboxd reviews, ingested at build time from the data export.
+// Drop a fresh reviews.csv from https://letterboxd.com/settings/data/ into
+// src/_data/letterboxd/ to update the archive, roulette and stats.
+// An optional "Director" column (comma-separated) enables the director stats.
+// Without an export the review pages, stats and /reviews.json are not built;
+// set LETTERBOXD_CSV=fixtures/letterboxd/reviews.csv to build with sample data
+// (the deploy workflow does, until an export is committed).
+
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+const { stars, ratingLabel } = require("../../_config/ratings");
+
+const CSV_PATH = process.env.LETTERBOXD_CSV
+  ? path.resolve(process.env.LETTERBOXD_CSV)
+  : path.join(__dirname, "letterboxd", "reviews.csv");
+
+function slugify(str) {
+  return String(str)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Letterboxd reviews may contain simple HTML; keep plain text paragraphs
+function cleanReview(text) {
+  return String(text || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>\s*<p>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .split(/\n+/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+function splitList(value) {
+  return String(value || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
+function normalizeReview(row) {
+  const rating = parseFloat(row["Rating"]);
+  return {
+    title: String(row["Name"] || "").trim(),
+    year: parseInt(row["Year"], 10) || null,
+    rating: Number.isFinite(rating) ? rating : null,
+    stars: stars(rating),
+    ratingLabel: ratingLabel(rating),
+    review: cleanReview(row["Review"]),
+    tags: splitList(row["Tags"]),
+    directors: splitList(row["Director"] || row["Directors"]),
+    watched: row["Watched Date"] || row["Date"] || "",
+    rewatch: row["Rewatch"] === "Yes",
+    url: row["Letterboxd URI"] || ""
+  };
+}
+
+// Unique, stable slugs: "title-year", suffixed for rewatch reviews
+function assignSlugs(list) {
+  const used = new Map();
+  list.forEach(review => {
+    const base = slugify(review.year ? `${review.title} ${review.year}` : review.title) || "review";
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    review.slug = count > 1 ? `${base}-${count}` : base;
+  });
+  return list;
+}
+
+function countBy(list, getKeys) {
+  const counts = new Map();
+  list.forEach(item => {
+    [].concat(getKeys(item)).forEach(key => {
+      if (key === null || key === undefined || key === "") return;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+  return counts;
+}
+
+function buildStats(list) {
+  const rated = list.filter(r => r.rating !== null);
+
+  const perYear = Array.from(countBy(list, r => r.watched.slice(0, 4)))
+    .map(([year, count]) => ({ year, count }))
+    .sort((a, b) => a.year.localeCompare(b.year));
+
+  const ratingCounts = countBy(rated, r => r.rating);
+  const ratings = [];
+  for (let value = 0.5; value <= 5; value += 0.5) {
+    ratings.push({ rating: value, count: ratingCounts.get(value) || 0 });
+  }
+
+  const directors = Array.from(countBy(list, r => r.directors))
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, 10);
+
+  const max = items => Math.max(1, ...items.map(item => item.count));
+
+  return {
+    total: list.length,
+    rated: rated.length,
+    averageRating: rated.length
+      ? Math.round((rated.reduce((sum, r) => sum + r.rating, 0) / rated.length) * 100) / 100
+      : null,
+    perYear,
+    perYearMax: max(perYear),
+    ratings,
+    ratingsMax: max(ratings),
+    directors,
+    directorsMax: max(directors)
+  };
+}
+
+module.exports = function() {
+  if (!fs.existsSync(CSV_PATH)) {
+    console.warn(`[reviews] no Letterboxd export at ${path.relative(process.cwd(), CSV_PATH)}; skipping review pages`);
+    return { list: [], stats: buildStats([]) };
+  }
+
+  const csv = fs.readFileSync(CSV_PATH, "utf8");
+  const { data, errors } = Papa.parse(csv, { header: true, skipEmptyLines: true });
+  if (errors.length) {
+    const details = errors.map(e => `  row ${e.row}: ${e.message}`).join("\n");
+    throw new Error(`Could not parse ${path.relative(process.cwd(), CSV_PATH)}:\n${details}`);
+  }
+
+  const list = assignSlugs(
+    data.map(normalizeReview)
+      .filter(r => r.title && r.review)
+      .sort((a, b) => b.watched.localeCompare(a.watched))
+  );
+
+  return {
+    list,
+    stats: buildStats(list)
+  };
+};
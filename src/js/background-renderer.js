@@ -0,0 +1,871 @@
+/**
+ * Background renderer
+ *
+ * Draws the animated page background. Runs inside background-worker.js on an
+ * OffscreenCanvas, or on the main thread (via script.js) where workers or
+ * OffscreenCanvas aren't available.
+ *
+ * Organized into:
+ * 1. Scene host (loop, crossfades, adaptive quality, messages)
+ * 2. Shared drawing helpers
+ * 3. Scenes (constellation, projector, data grid)
+ *
+ * It never touches the DOM: size, theme colours, pointer position, the page's
+ * scene and whether to animate all arrive as messages, handled by
+ * `renderer.handle(message)`:
+ *   { type: 'resize', width, height }
+ *   { type: 'theme', colors }           theme tokens, see getSceneColors() in script.js
+ *   { type: 'mouse', x, y, active }
+ *   { type: 'scene', name }             a registered scene, or 'none' for an empty background
+ *   { type: 'state', running, still }   running: animate; still: draw one still frame
+ *   { type: 'destroy' }
+ */
+
+// ============================================
+// SCENE HOST
+// ============================================
+// A scene is a factory `(settings) => scene`, where settings is its entry in
+// CONFIG.scenes and scene implements:
+//   init(env)          set up for the current size and quality
+//   resize(env)        size or quality level changed
+//   update(env)        advance one frame (only called while animating)
+//   draw(ctx, env)     paint the current state; env.moving is false for still frames
+//   dispose()          release anything held
+// env is { width, height, quality, time, moving, mouse, colors }, with quality
+// an index into the scene's own `qualityLevels` (0 = best) and colors the
+// current theme's --scene-* tokens. Scenes take every colour from there (never
+// from the theme name), so any theme that defines the tokens works. The host
+// clears the canvas and sets globalAlpha for crossfades, so scenes use rgba
+// colours rather than globalAlpha.
+const SCENES = {};
+
+function registerScene(name, factory) {
+    SCENES[name] = factory;
+}
+
+function createBackgroundRenderer(canvas, settings) {
+    const ctx = canvas.getContext('2d');
+    const { crossfadeMs, slowFrameMs, fastFrameMs, qualitySampleFrames, qualityLevelCount } = settings.background;
+    const requestFrame = self.requestAnimationFrame
+        ? cb => self.requestAnimationFrame(cb)
+        : cb => setTimeout(() => cb(performance.now()), 16);
+    const cancelFrame = self.cancelAnimationFrame
+        ? id => self.cancelAnimationFrame(id)
+        : id => clearTimeout(id);
+
+    // Scenes on screen: normally one, two while crossfading. The last one is current.
+    let layers = [];
+    let sceneName = 'none';
+    let frameId = null;
+    let running = false;
+    let still = false;
+
+    const env = {
+        width: canvas.width,
+        height: canvas.height,
+        quality: 0,
+        time: 0,
+        moving: false,
+        mouse: { x: -1000, y: -1000, active: false },
+        colors: {
+            particle: 'rgba(255, 255, 255, 0.8)',
+            line: '255, 255, 255',
+            aurora: ['255, 255, 255', '255, 255, 255', '255, 255, 255'],
+            auroraOpacity: 0,
+            highlight: '255, 255, 255',
+            shadow: '0, 0, 0',
+            vignetteOpacity: 0
+        }
+    };
+
+    // A level that proved too slow becomes the ceiling, so quality doesn't
+    // bounce back and forth
+    let bestLevel = 0;
+    let frameTimes = [];
+    let lastFrameTime = null;
+
+    const drawLayers = () => {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        layers.forEach(layer => {
+            ctx.save();
+            ctx.globalAlpha = layer.opacity;
+            layer.scene.draw(ctx, env);
+            ctx.restore();
+        });
+    };
+
+    // `moving: false` draws a still background (reduced motion, calm mode)
+    const drawFrame = ({ moving }) => {
+        env.moving = moving;
+        if (moving) layers.forEach(layer => layer.scene.update(env));
+        drawLayers();
+    };
+
+    // Fade each layer toward its target; layers that reach 0 are gone
+    const stepFades = (delta) => {
+        const step = crossfadeMs > 0 ? delta / crossfadeMs : 1;
+        layers.forEach(layer => {
+            layer.opacity = layer.target > layer.opacity
+                ? Math.min(layer.target, layer.opacity + step)
+                : Math.max(layer.target, layer.opacity - step);
+        });
+        layers = layers.filter(layer => {
+            if (layer.target > 0 || layer.opacity > 0) return true;
+            layer.scene.dispose();
+            return false;
+        });
+    };
+
+    const finishFades = () => stepFades(Infinity);
+
+    // Step quality down when the average frame runs long, and back up (never
+    // past a level that already proved too slow) when there's headroom
+    const adaptQuality = (delta) => {
+        // Ignore gaps from throttled or backgrounded frames
+        if (delta === null || delta > 250) return;
+
+        frameTimes.push(delta);
+        if (frameTimes.length < qualitySampleFrames) return;
+        const average = frameTimes.reduce((sum, t) => sum + t, 0) / frameTimes.length;
+        frameTimes = [];
+
+        let nextLevel = env.quality;
+        if (average > slowFrameMs && env.quality < qualityLevelCount - 1) {
+            bestLevel = env.quality + 1;
+            nextLevel = env.quality + 1;
+        } else if (average < fastFrameMs && env.quality > bestLevel) {
+            nextLevel = env.quality - 1;
+        }
+        if (nextLevel === env.quality) return;
+
+        env.quality = nextLevel;
+        layers.forEach(layer => layer.scene.resize(env));
+    };
+
+    const animate = (timestamp) => {
+        const delta = lastFrameTime === null ? null : timestamp - lastFrameTime;
+        lastFrameTime = timestamp;
+        env.time = timestamp;
+        adaptQuality(delta);
+        stepFades(delta === null ? 0 : Math.min(delta, 100));
+        drawFrame({ moving: true });
+        // An empty background ('none') stops once the old scene has faded out
+        frameId = layers.length ? requestFrame(animate) : null;
+    };
+
+    const updateLoop = () => {
+        if (running && layers.length) {
+            if (frameId !== null) return;
+            lastFrameTime = null;
+            frameTimes = [];
+            frameId = requestFrame(animate);
+            return;
+        }
+        cancelFrame(frameId);
+        frameId = null;
+        // Nothing is animating, so skip straight to the end of any crossfade
+        finishFades();
+        if (still || !layers.length) drawFrame({ moving: false });
+    };
+
+    const setScene = (name) => {
+        const factory = SCENES[name];
+        if (!factory) name = 'none';
+        if (name === sceneName) return;
+        sceneName = name;
+
+        layers.forEach(layer => { layer.target = 0; });
+        if (factory) {
+            const scene = factory(settings.scenes[name]);
+            scene.init(env);
+            // With nothing on screen yet (first paint) there's nothing to fade from
+            layers.push({ scene, opacity: layers.length ? 0 : 1, target: 1 });
+        }
+        updateLoop();
+    };
+
+    const handlers = {
+        resize({ width, height }) {
+            canvas.width = width;
+            canvas.height = height;
+            env.width = width;
+            env.height = height;
+            layers.forEach(layer => layer.scene.resize(env));
+            if (frameId === null) updateLoop();
+        },
+        theme({ colors }) {
+            env.colors = colors;
+            if (frameId === null) updateLoop();
+        },
+        mouse({ x, y, active }) {
+            env.mouse = { x, y, active };
+        },
+        scene({ name }) {
+            setScene(name);
+        },
+        state(message) {
+            running = message.running;
+            still = message.still;
+            updateLoop();
+        },
+        destroy() {
+            running = false;
+            cancelFrame(frameId);
+            frameId = null;
+            layers.forEach(layer => layer.scene.dispose());
+            layers = [];
+        }
+    };
+
+    return {
+        handle(message) {
+            handlers[message.type](message);
+        }
+    };
+}
+
+// ============================================
+// SHARED DRAWING HELPERS
+// ============================================
+// Collects line segments into alpha buckets so each bucket is stroked as one
+// path instead of one stroke() per line
+function createLineBatch(buckets = 8) {
+    const segments = Array.from({ length: buckets }, () => []);
+
+    return {
+        add(alpha, x1, y1, x2, y2) {
+            const bucket = Math.max(0, Math.min(buckets - 1, Math.floor(alpha * buckets)));
+            segments[bucket].push(x1, y1, x2, y2);
+        },
+
+        stroke(ctx, rgb, lineWidth, alphaScale = 1) {
+            ctx.lineWidth = lineWidth;
+            for (let b = 0; b < buckets; b++) {
+                const points = segments[b];
+                if (!points.length) continue;
+                ctx.beginPath();
+                for (let i = 0; i < points.length; i += 4) {
+                    ctx.moveTo(points[i], points[i + 1]);
+                    ctx.lineTo(points[i + 2], points[i + 3]);
+                }
+                // Middle of the bucket's alpha range
+                ctx.strokeStyle = `rgba(${rgb}, ${(b + 0.5) / buckets * alphaScale})`;
+                ctx.stroke();
+                points.length = 0;
+            }
+        }
+    };
+}
+
+// Soft shading toward the edges; `strength` scales the theme's vignette opacity
+function drawVignette(ctx, env, strength = 1) {
+    const { width, height, colors } = env;
+    const opacity = colors.vignetteOpacity * strength;
+    if (opacity <= 0) return;
+    const vig = ctx.createRadialGradient(width / 2, height / 2, height * 0.3, width / 2, height / 2, Math.max(width, height) * 0.7);
+    vig.addColorStop(0, `rgba(${colors.shadow}, 0)`);
+    vig.addColorStop(1, `rgba(${colors.shadow}, ${opacity})`);
+    ctx.fillStyle = vig;
+    ctx.fillRect(0, 0, width, height);
+}
+
+// ============================================
+// CONSTELLATION SCENE (Optimized with Spatial Hashing)
+// ============================================
+registerScene('constellation', (settings) => {
+    let particles = [];
+    let shootingStars = [];
+    let frameCount = 0;
+    let nextShootingStar = 0;
+    let env = null;
+    const lines = createLineBatch();
+    const getQuality = () => settings.qualityLevels[env.quality];
+
+    class Particle {
+        constructor() {
+            this.reset();
+        }
+
+        reset() {
+            const { particleSpeedRange, particleMinRadius, particleMaxRadius } = settings;
+            this.x = Math.random() * env.width;
+            this.y = Math.random() * env.height;
+            this.vx = Math.random() * particleSpeedRange - (particleSpeedRange / 2);
+            this.vy = Math.random() * particleSpeedRange - (particleSpeedRange / 2);
+            this.baseVx = this.vx;
+            this.baseVy = this.vy;
+            this.baseRadius = Math.random() * (particleMaxRadius - particleMinRadius) + particleMinRadius;
+            this.radius = this.baseRadius;
+            this.pulseOffset = Math.random() * Math.PI * 2; // Random phase so they don't all pulse in sync
+        }
+
+        update() {
+            const { mouseRadius, mouseRepelForce, mouseReturnSpeed, pulseSpeed } = settings;
+            const { mouse } = env;
+
+            // Breathing pulse
+            this.radius = this.baseRadius + Math.sin(frameCount * pulseSpeed + this.pulseOffset) * 0.4;
+
+            // Mouse interaction — gentle drift away from cursor
+            if (mouse.active) {
+                const dx = this.x - mouse.x;
+                const dy = this.y - mouse.y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+
+                if (dist < mouseRadius && dist > 0) {
+                    const force = (1 - dist / mouseRadius) * mouseRepelForce;
+                    this.vx += (dx / dist) * force;
+                    this.vy += (dy / dist) * force;
+                }
+            }
+
+            // Gradually return to base velocity
+            this.vx += (this.baseVx - this.vx) * mouseReturnSpeed;
+            this.vy += (this.baseVy - this.vy) * mouseReturnSpeed;
+
+            this.x += this.vx;
+            this.y += this.vy;
+
+            // Clamp position and ensure correct velocity direction
+            if (this.x < 0) { this.x = 0; this.vx = Math.abs(this.vx); }
+            else if (this.x > env.width) { this.x = env.width; this.vx = -Math.abs(this.vx); }
+            if (this.y < 0) { this.y = 0; this.vy = Math.abs(this.vy); }
+            else if (this.y > env.height) { this.y = env.height; this.vy = -Math.abs(this.vy); }
+        }
+    }
+
+    class ShootingStar {
+        constructor() {
+            const { shootingStarSpeed, shootingStarLength } = settings;
+            // Start from a random edge
+            const side = Math.random();
+            if (side < 0.5) {
+                this.x = Math.random() * env.width;
+                this.y = -10;
+            } else {
+                this.x = -10;
+                this.y = Math.random() * env.height * 0.5;
+            }
+            const angle = Math.PI / 6 + Math.random() * Math.PI / 4; // 30-75 degrees downward
+            this.vx = Math.cos(angle) * shootingStarSpeed;
+            this.vy = Math.sin(angle) * shootingStarSpeed;
+            this.length = shootingStarLength + Math.random() * 40;
+            this.life = 1.0;
+            this.decay = 0.008 + Math.random() * 0.008;
+        }
+
+        update() {
+            this.x += this.vx;
+            this.y += this.vy;
+            this.life -= this.decay;
+        }
+
+        draw(ctx, colors) {
+            if (this.life <= 0) return;
+            const rgb = colors.line;
+            const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+            const tailX = this.x - (this.vx / speed) * this.length;
+            const tailY = this.y - (this.vy / speed) * this.length;
+
+            const gradient = ctx.createLinearGradient(tailX, tailY, this.x, this.y);
+            gradient.addColorStop(0, `rgba(${rgb}, 0)`);
+            gradient.addColorStop(1, `rgba(${rgb}, ${this.life * 0.8})`);
+
+            ctx.beginPath();
+            ctx.strokeStyle = gradient;
+            ctx.lineWidth = 1.5;
+            ctx.moveTo(tailX, tailY);
+            ctx.lineTo(this.x, this.y);
+            ctx.stroke();
+
+            // Bright head
+            ctx.beginPath();
+            ctx.fillStyle = `rgba(${colors.highlight}, ${this.life * 0.6})`;
+            ctx.arc(this.x, this.y, 1.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        isDead() {
+            return this.life <= 0 || this.x > env.width + 50 || this.y > env.height + 50;
+        }
+    }
+
+    const createParticles = () => {
+        const { particleDensity, particleDensityMobile } = settings;
+        const density = env.width < 768 ? particleDensityMobile : particleDensity;
+        const particleCount = Math.floor((env.width * env.height) / density * getQuality().density);
+        particles = [];
+        for (let i = 0; i < particleCount; i++) {
+            particles.push(new Particle());
+        }
+        if (!getQuality().shootingStars) shootingStars = [];
+    };
+
+    // Spatial hashing for O(n·k) particle connections instead of O(n²)
+    const connectParticles = (ctx) => {
+        const { connectionDistance, lineWidth } = settings;
+        const maxDistSq = connectionDistance * connectionDistance;
+        const cellSize = connectionDistance;
+        const cols = Math.ceil(env.width / cellSize) + 1;
+        const rows = Math.ceil(env.height / cellSize) + 1;
+
+        // Build spatial grid using object for sparse representation
+        const grid = {};
+        for (let idx = 0; idx < particles.length; idx++) {
+            const p = particles[idx];
+            const col = Math.floor(p.x / cellSize);
+            const row = Math.floor(p.y / cellSize);
+            const key = row * cols + col;
+            if (!grid[key]) grid[key] = [];
+            grid[key].push(idx);
+        }
+
+        // Neighbor offsets: same cell, right, bottom-left, bottom, bottom-right
+        const neighbors = [
+            [0, 0], [0, 1], [1, -1], [1, 0], [1, 1]
+        ];
+
+        // For each cell, check current cell + right/bottom neighbors to avoid duplicate pairs
+        for (const cellKey in grid) {
+            const cellIdx = parseInt(cellKey);
+            const cellRow = Math.floor(cellIdx / cols);
+            const cellCol = cellIdx % cols;
+            const cellParticles = grid[cellKey];
+
+            for (const [dr, dc] of neighbors) {
+                const nr = cellRow + dr;
+                const nc = cellCol + dc;
+                if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue;
+
+                const neighborParticles = grid[nr * cols + nc];
+                if (!neighborParticles) continue;
+
+                const isSameCell = dr === 0 && dc === 0;
+
+                for (let i = 0; i < cellParticles.length; i++) {
+                    const startJ = isSameCell ? i + 1 : 0;
+                    for (let j = startJ; j < neighborParticles.length; j++) {
+                        const p1 = particles[cellParticles[i]];
+                        const p2 = particles[neighborParticles[j]];
+                        const dx = p1.x - p2.x;
+                        const dy = p1.y - p2.y;
+                        const distSq = dx * dx + dy * dy;
+
+                        if (distSq < maxDistSq) {
+                            lines.add(1 - Math.sqrt(distSq) / connectionDistance, p1.x, p1.y, p2.x, p2.y);
+                        }
+                    }
+                }
+            }
+        }
+
+        lines.stroke(ctx, env.colors.line, lineWidth);
+    };
+
+    // Mouse-to-particle connections for a subtle glow effect
+    const connectMouse = (ctx) => {
+        const { mouseRadius } = settings;
+        const { mouse } = env;
+        for (let i = 0; i < particles.length; i++) {
+            const p = particles[i];
+            const dx = p.x - mouse.x;
+            const dy = p.y - mouse.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < mouseRadius) {
+                lines.add(1 - dist / mouseRadius, mouse.x, mouse.y, p.x, p.y);
+            }
+        }
+        lines.stroke(ctx, env.colors.line, 0.3, 0.4);
+    };
+
+    const drawAurora = (ctx) => {
+        const t = frameCount * 0.0006;
+        const w = env.width;
+        const h = env.height;
+        const { aurora, auroraOpacity: aurOpa } = env.colors;
+
+        // Three orbiting colour pools
+        const ax = w * (0.25 + 0.2 * Math.sin(t));
+        const ay = h * (0.35 + 0.2 * Math.cos(t * 0.7));
+        const bx = w * (0.7 + 0.15 * Math.cos(t * 0.9));
+        const by = h * (0.55 + 0.2 * Math.sin(t * 0.6));
+        const cx2 = w * (0.5 + 0.25 * Math.sin(t * 1.1 + 2));
+        const cy2 = h * (0.2 + 0.15 * Math.cos(t * 0.5 + 1));
+        const radius = Math.max(w, h) * 0.45;
+
+        const g1 = ctx.createRadialGradient(ax, ay, 0, ax, ay, radius);
+        g1.addColorStop(0, `rgba(${aurora[0]}, ${aurOpa})`);
+        g1.addColorStop(1, `rgba(${aurora[0]}, 0)`);
+        ctx.fillStyle = g1;
+        ctx.fillRect(0, 0, w, h);
+
+        const g2 = ctx.createRadialGradient(bx, by, 0, bx, by, radius * 0.8);
+        g2.addColorStop(0, `rgba(${aurora[1]}, ${aurOpa * 0.6})`);
+        g2.addColorStop(1, `rgba(${aurora[1]}, 0)`);
+        ctx.fillStyle = g2;
+        ctx.fillRect(0, 0, w, h);
+
+        const g3 = ctx.createRadialGradient(cx2, cy2, 0, cx2, cy2, radius * 0.6);
+        g3.addColorStop(0, `rgba(${aurora[2]}, ${aurOpa * 0.4})`);
+        g3.addColorStop(1, `rgba(${aurora[2]}, 0)`);
+        ctx.fillStyle = g3;
+        ctx.fillRect(0, 0, w, h);
+    };
+
+    return {
+        init(nextEnv) {
+            env = nextEnv;
+            createParticles();
+        },
+
+        resize() {
+            createParticles();
+        },
+
+        update() {
+            frameCount++;
+            particles.forEach(p => p.update());
+
+            // Periodically spawn shooting stars
+            if (env.time >= nextShootingStar) {
+                if (nextShootingStar && getQuality().shootingStars && Math.random() < 0.7) {
+                    shootingStars.push(new ShootingStar());
+                }
+                nextShootingStar = env.time + settings.shootingStarInterval;
+            }
+            shootingStars = shootingStars.filter(s => !s.isDead());
+            shootingStars.forEach(s => s.update());
+        },
+
+        draw(ctx) {
+            const quality = getQuality();
+
+            // ── Aurora gradient wash (behind everything) ──
+            if (quality.aurora) drawAurora(ctx);
+
+            // ── Vignette (subtle darkening at edges) ──
+            drawVignette(ctx, env);
+
+            // All particles share a colour, so they go into a single path
+            ctx.fillStyle = env.colors.particle;
+            ctx.beginPath();
+            particles.forEach(p => {
+                const r = Math.max(p.radius, 0.1);
+                ctx.moveTo(p.x + r, p.y);
+                ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+            });
+            ctx.fill();
+            connectParticles(ctx);
+
+            if (env.moving && quality.mouseLines && env.mouse.active) connectMouse(ctx);
+            if (env.moving) shootingStars.forEach(s => s.draw(ctx, env.colors));
+        },
+
+        dispose() {
+            particles = [];
+            shootingStars = [];
+        }
+    };
+});
+
+// ============================================
+// PROJECTOR SCENE (film grain, dust and flicker)
+// ============================================
+registerScene('projector', (settings) => {
+    let motes = [];
+    let scratches = [];
+    let flicker = 1;
+    let env = null;
+    const getQuality = () => settings.qualityLevels[env.quality];
+
+    const createMotes = () => {
+        const count = Math.floor((env.width * env.height) / settings.moteDensity * getQuality().density);
+        motes = [];
+        for (let i = 0; i < count; i++) {
+            motes.push({
+                x: Math.random() * env.width,
+                y: Math.random() * env.height,
+                vx: (Math.random() - 0.5) * settings.moteSpeed,
+                vy: (Math.random() - 0.5) * settings.moteSpeed,
+                radius: Math.random() * 1.4 + 0.3,
+                alpha: Math.random() * 0.5 + 0.2
+            });
+        }
+        if (!getQuality().scratches) scratches = [];
+    };
+
+    // The beam fans out from a lamp just above the top edge
+    const beamStrength = (x, y) => {
+        const spread = (y / env.height) * env.width * 0.45 + 60;
+        const offset = Math.abs(x - env.width / 2);
+        return offset < spread ? 1 - offset / spread : 0;
+    };
+
+    const drawBeam = (ctx) => {
+        const { width: w, height: h } = env;
+        const opacity = env.colors.auroraOpacity * 1.3 * flicker;
+        const beam = ctx.createLinearGradient(0, 0, 0, h);
+        beam.addColorStop(0, `rgba(${env.colors.line}, ${opacity})`);
+        beam.addColorStop(1, `rgba(${env.colors.line}, 0)`);
+        ctx.fillStyle = beam;
+        ctx.beginPath();
+        ctx.moveTo(w / 2 - 60, 0);
+        ctx.lineTo(w / 2 + 60, 0);
+        ctx.lineTo(w / 2 + w * 0.45 + 60, h);
+        ctx.lineTo(w / 2 - w * 0.45 - 60, h);
+        ctx.closePath();
+        ctx.fill();
+    };
+
+    // Fresh random specks every frame read as grain; one path per tone
+    const drawGrain = (ctx) => {
+        const count = Math.floor((env.width * env.height) / settings.grainDensity * getQuality().density);
+        const { highlight, shadow } = env.colors;
+        [[highlight, 0.08], [shadow, 0.12]].forEach(([rgb, alpha]) => {
+            ctx.fillStyle = `rgba(${rgb}, ${alpha})`;
+            ctx.beginPath();
+            for (let n = 0; n < count / 2; n++) {
+                ctx.rect(Math.random() * env.width, Math.random() * env.height, 1.5, 1.5);
+            }
+            ctx.fill();
+        });
+    };
+
+    return {
+        init(nextEnv) {
+            env = nextEnv;
+            createMotes();
+        },
+
+        resize() {
+            createMotes();
+        },
+
+        update() {
+            // Lamp flicker: mostly steady with the odd dip
+            const target = Math.random() < 0.06 ? 0.6 + Math.random() * 0.25 : 1;
+            flicker += (target - flicker) * 0.3;
+
+            const { mouse } = env;
+            motes.forEach(m => {
+                // Motes swirl away from the cursor like dust caught in a draft
+                if (mouse.active) {
+                    const dx = m.x - mouse.x;
+                    const dy = m.y - mouse.y;
+                    const dist = Math.sqrt(dx * dx + dy * dy);
+                    if (dist < settings.mouseRadius && dist > 0) {
+                        m.vx += (dy / dist) * 0.02;
+                        m.vy -= (dx / dist) * 0.02;
+                    }
+                }
+                m.vx *= 0.995;
+                m.vy *= 0.995;
+                m.x += m.vx + (Math.random() - 0.5) * 0.1;
+                m.y += m.vy + (Math.random() - 0.5) * 0.1;
+                if (m.x < 0) m.x += env.width;
+                else if (m.x > env.width) m.x -= env.width;
+                if (m.y < 0) m.y += env.height;
+                else if (m.y > env.height) m.y -= env.height;
+            });
+
+            if (getQuality().scratches && Math.random() < settings.scratchChance) {
+                scratches.push({ x: Math.random() * env.width, life: 4 + Math.floor(Math.random() * 6) });
+            }
+            scratches = scratches.filter(s => --s.life > 0);
+        },
+
+        draw(ctx) {
+            drawBeam(ctx);
+
+            // Dust only catches the light inside the beam
+            const rgb = env.colors.line;
+            motes.forEach(m => {
+                const lit = 0.15 + beamStrength(m.x, m.y) * 0.85;
+                ctx.fillStyle = `rgba(${rgb}, ${m.alpha * lit * flicker})`;
+                ctx.beginPath();
+                ctx.arc(m.x, m.y, m.radius, 0, Math.PI * 2);
+                ctx.fill();
+            });
+
+            if (env.moving) {
+                drawGrain(ctx);
+                ctx.strokeStyle = `rgba(${rgb}, 0.15)`;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                scratches.forEach(s => {
+                    ctx.moveTo(s.x, 0);
+                    ctx.lineTo(s.x + (Math.random() - 0.5) * 4, env.height);
+                });
+                ctx.stroke();
+            }
+
+            drawVignette(ctx, env, 1.8);
+        },
+
+        dispose() {
+            motes = [];
+            scratches = [];
+        }
+    };
+});
+
+// ============================================
+// DATA GRID SCENE (packets travelling a circuit grid)
+// ============================================
+registerScene('data-grid', (settings) => {
+    let packets = [];
+    let blinks = [];
+    let cols = 0;
+    let rows = 0;
+    let env = null;
+    const lines = createLineBatch();
+    const getQuality = () => settings.qualityLevels[env.quality];
+
+    // Packets run along grid lines from node to node, turning at random
+    const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    const createPacket = () => {
+        const [dx, dy] = DIRECTIONS[Math.floor(Math.random() * DIRECTIONS.length)];
+        const col = Math.floor(Math.random() * cols);
+        const row = Math.floor(Math.random() * rows);
+        return { col, row, dx, dy, progress: Math.random(), trail: [] };
+    };
+
+    const createPackets = () => {
+        const { cellSize, packetDensity } = settings;
+        cols = Math.ceil(env.width / cellSize) + 1;
+        rows = Math.ceil(env.height / cellSize) + 1;
+        const count = Math.floor((env.width * env.height) / packetDensity * getQuality().density);
+        packets = [];
+        for (let i = 0; i < count; i++) packets.push(createPacket());
+        blinks = [];
+    };
+
+    const packetPosition = (p) => ({
+        x: (p.col + p.dx * p.progress) * settings.cellSize,
+        y: (p.row + p.dy * p.progress) * settings.cellSize
+    });
+
+    const turn = (p) => {
+        p.col += p.dx;
+        p.row += p.dy;
+        p.progress = 0;
+        if (Math.random() < settings.turnChance) {
+            [p.dx, p.dy] = Math.random() < 0.5 ? [p.dy, p.dx] : [-p.dy, -p.dx];
+        }
+        // Wrap around the edges
+        if (p.col < 0 || p.col >= cols || p.row < 0 || p.row >= rows) {
+            p.col = (p.col + cols) % cols;
+            p.row = (p.row + rows) % rows;
+            p.trail = [];
+        }
+    };
+
+    return {
+        init(nextEnv) {
+            env = nextEnv;
+            createPackets();
+        },
+
+        resize() {
+            createPackets();
+        },
+
+        update() {
+            const { packetSpeed, trailLength, blinkChance } = settings;
+            packets.forEach(p => {
+                p.trail.unshift(packetPosition(p));
+                if (p.trail.length > trailLength) p.trail.pop();
+                p.progress += packetSpeed;
+                if (p.progress >= 1) turn(p);
+            });
+
+            if (getQuality().blinks && Math.random() < blinkChance) {
+                blinks.push({
+                    col: Math.floor(Math.random() * cols),
+                    row: Math.floor(Math.random() * rows),
+                    life: 1
+                });
+            }
+            blinks = blinks.filter(b => (b.life -= 0.015) > 0);
+        },
+
+        draw(ctx) {
+            const { cellSize, mouseRadius } = settings;
+            const rgb = env.colors.line;
+            const { width: w, height: h, mouse } = env;
+
+            // ── Grid lines ──
+            ctx.strokeStyle = `rgba(${rgb}, 0.07)`;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let x = 0; x <= w; x += cellSize) {
+                ctx.moveTo(x + 0.5, 0);
+                ctx.lineTo(x + 0.5, h);
+            }
+            for (let y = 0; y <= h; y += cellSize) {
+                ctx.moveTo(0, y + 0.5);
+                ctx.lineTo(w, y + 0.5);
+            }
+            ctx.stroke();
+
+            // ── Cells lighting up ──
+            blinks.forEach(b => {
+                ctx.fillStyle = `rgba(${rgb}, ${b.life * 0.08})`;
+                ctx.fillRect(b.col * cellSize, b.row * cellSize, cellSize, cellSize);
+            });
+
+            // ── Nodes near the cursor ──
+            if (env.moving && mouse.active) {
+                ctx.fillStyle = env.colors.particle;
+                ctx.beginPath();
+                const minCol = Math.max(0, Math.floor((mouse.x - mouseRadius) / cellSize));
+                const maxCol = Math.ceil((mouse.x + mouseRadius) / cellSize);
+                const minRow = Math.max(0, Math.floor((mouse.y - mouseRadius) / cellSize));
+                const maxRow = Math.ceil((mouse.y + mouseRadius) / cellSize);
+                for (let col = minCol; col <= maxCol; col++) {
+                    for (let row = minRow; row <= maxRow; row++) {
+                        const x = col * cellSize;
+                        const y = row * cellSize;
+                        const dist = Math.hypot(x - mouse.x, y - mouse.y);
+                        if (dist < mouseRadius) {
+                            const r = 2.5 * (1 - dist / mouseRadius);
+                            ctx.moveTo(x + r, y);
+                            ctx.arc(x, y, r, 0, Math.PI * 2);
+                        }
+                    }
+                }
+                ctx.fill();
+            }
+
+            // ── Packets and their fading trails ──
+            packets.forEach(p => {
+                let prev = packetPosition(p);
+                p.trail.forEach((point, i) => {
+                    // Skip the jump where a packet wrapped round an edge
+                    if (Math.abs(point.x - prev.x) <= cellSize && Math.abs(point.y - prev.y) <= cellSize) {
+                        lines.add(1 - i / p.trail.length, prev.x, prev.y, point.x, point.y);
+                    }
+                    prev = point;
+                });
+            });
+            lines.stroke(ctx, rgb, 1.5, 0.7);
+
+            ctx.fillStyle = env.colors.particle;
+            ctx.beginPath();
+            packets.forEach(p => {
+                const { x, y } = packetPosition(p);
+                ctx.moveTo(x + 1.8, y);
+                ctx.arc(x, y, 1.8, 0, Math.PI * 2);
+            });
+            ctx.fill();
+
+            drawVignette(ctx, env, 1.2);
+        },
+
+        dispose() {
+            packets = [];
+            blinks = [];
+        }
+    };
+});
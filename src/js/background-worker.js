@@ -0,0 +1,18 @@
+/**
+ * Background worker
+ *
+ * Owns the background's OffscreenCanvas so simulation and drawing stay off the
+ * main thread. The first message hands over the canvas and settings; every
+ * later one is passed straight to the renderer (see background-renderer.js).
+ */
+importScripts('background-renderer.js');
+
+let renderer = null;
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'init') {
+        renderer = createBackgroundRenderer(data.canvas, data.settings);
+        return;
+    }
+    if (renderer) renderer.handle(data);
+});
@@ -4,10 +4,11 @@
  * 
  * Organized into:
  * 1. Utilities
- * 2. Configuration Constants
- * 3. Feature Modules (Constellation, Navigation, etc.)
- * 4. Page Initializers
- * 5. Main Setup
+ * 2. Router (client-side navigation + page lifecycle)
+ * 3. Configuration Constants
+ * 4. Feature Modules (Background, Navigation, etc.)
+ * 5. Routes
+ * 6. Main Setup
  */
 
 // ============================================
@@ -15,34 +16,579 @@
 // ============================================
 function debounce(fn, delay) {
     let timer;
-    return (...args) => {
+    const debounced = (...args) => {
         clearTimeout(timer);
         timer = setTimeout(() => fn(...args), delay);
     };
+    debounced.cancel = () => clearTimeout(timer);
+    return debounced;
+}
+
+// Reduced motion: the OS setting or the site's calm mode (see initializeMotionToggle)
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+function prefersReducedMotion() {
+    return reducedMotionQuery.matches || document.documentElement.dataset.motion === 'calm';
+}
+
+// ============================================
+// URL STATE (deep links for in-page UI state)
+// ============================================
+// Page modules keep shareable state (active tab, open album, ...) in the
+// query string and register a handler to restore it on back/forward.
+const urlStateHandlers = new Set();
+
+function getUrlState(key) {
+    return new URLSearchParams(window.location.search).get(key);
+}
+
+function setUrlState(changes, { replace = false } = {}) {
+    const url = new URL(window.location.href);
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '') url.searchParams.delete(key);
+        else url.searchParams.set(key, value);
+    });
+    if (url.href === window.location.href) return;
+    updateHistory(url, { replace });
+}
+
+function onUrlStateChange(handler) {
+    urlStateHandlers.add(handler);
+}
+
+// ============================================
+// VIEW TRANSITIONS
+// ============================================
+// Page and section changes morph through the View Transitions API where it's
+// available; elsewhere (and with reduced motion) the update just happens and
+// the class-based fallbacks (main.is-leaving, CSS transitions) take over.
+const supportsViewTransitions = () =>
+    typeof document.startViewTransition === 'function' && !prefersReducedMotion();
+
+const isRendered = el => !!el && el.getClientRects().length > 0;
+
+// Shared elements: `names` maps a view-transition-name to a function that finds
+// the element to carry it. Each is looked up before and after the update, so a
+// name can hop from one element to another (e.g. a terminal row to its README).
+// Names are only set for the transition so they stay unique on the page.
+function withViewTransition(update, names = {}) {
+    if (!supportsViewTransitions()) {
+        update();
+        return Promise.resolve();
+    }
+
+    const tagged = [];
+    const tag = () => Object.entries(names).forEach(([name, find]) => {
+        const el = find();
+        if (!isRendered(el)) return;
+        el.style.viewTransitionName = name;
+        tagged.push(el);
+    });
+    const untag = () => tagged.splice(0).forEach(el => { el.style.viewTransitionName = ''; });
+
+    tag();
+    const transition = document.startViewTransition(() => {
+        untag();
+        update();
+        tag();
+    });
+    transition.finished.finally(untag);
+    return transition.updateCallbackDone;
+}
+
+const findSectionTitle = () =>
+    Array.from(document.querySelectorAll('main .section-title, main h1')).find(isRendered) || null;
+
+const findOpenProjectTitle = () =>
+    document.querySelector('.terminal-detail-panel.open .terminal-detail-body h3');
+
+// ============================================
+// ROUTER (client-side navigation between pages)
+// ============================================
+// Pages register a route: `match(pathname)` and `mount(scope, context)`.
+// Anything a page sets up outside its own markup (window/document listeners,
+// timers, observers) goes through its scope, which is disposed before the
+// next page mounts. URLs that share a route `key` are the same document
+// (e.g. /portfolio.html and /projects/<slug>.html): moving between them only
+// re-runs the URL state handlers.
+const routes = [];
+const navigateHandlers = new Set();
+const mountHandlers = new Set();
+let currentPage = null;       // { route, key, scope }
+let currentLocation = null;   // pathname + search of the page's history entry
+let navigationId = 0;
+
+const locationKey = url => url.pathname + url.search;
+
+function createScope() {
+    const controller = new AbortController();
+    const cleanups = [];
+
+    return {
+        signal: controller.signal,
+        listen(target, type, handler, options = {}) {
+            target.addEventListener(type, handler, { ...options, signal: controller.signal });
+        },
+        setTimeout(fn, delay) {
+            const id = setTimeout(fn, delay);
+            cleanups.push(() => clearTimeout(id));
+            return id;
+        },
+        setInterval(fn, delay) {
+            const id = setInterval(fn, delay);
+            cleanups.push(() => clearInterval(id));
+            return id;
+        },
+        onDispose(fn) {
+            cleanups.push(fn);
+        },
+        dispose() {
+            controller.abort();
+            cleanups.splice(0).reverse().forEach(fn => {
+                try {
+                    fn();
+                } catch (error) {
+                    console.error('Error during page cleanup:', error);
+                }
+            });
+        }
+    };
+}
+
+function registerRoute(route) {
+    routes.push({ key: url => url.pathname, ...route });
+}
+
+function findRoute(pathname) {
+    return routes.find(route => route.match(pathname));
+}
+
+// Called with the target URL whenever a navigation starts (nav pill, menus)
+function onNavigate(handler) {
+    navigateHandlers.add(handler);
+}
+
+// Called with the URL each time a page is mounted, once its <head> is in place
+// (the initial page included)
+function onPageMount(handler) {
+    mountHandlers.add(handler);
+}
+
+// All history writes go through here so back/forward can tell in-page
+// state changes apart from hash jumps
+function updateHistory(url, { replace = false } = {}) {
+    const target = new URL(url, window.location.href);
+    if (!replace) history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+    history[replace ? 'replaceState' : 'pushState']({}, '', target);
+    currentLocation = locationKey(target);
+}
+
+function navigate(href, { replace = false } = {}) {
+    const url = new URL(href, window.location.href);
+    if (url.href === window.location.href) return Promise.resolve();
+
+    const previous = currentLocation;
+    updateHistory(url, { replace });
+    return renderLocation(url, previous);
+}
+
+function scrollToHash(hash) {
+    const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+    if (target) target.scrollIntoView();
+    return !!target;
+}
+
+function renderLocation(url, previous, { scrollY } = {}) {
+    const route = findRoute(url.pathname);
+    const key = route.key(url);
+    const samePage = currentPage && currentPage.route === route && currentPage.key === key;
+
+    if (samePage && locationKey(url) === previous) {
+        scrollToHash(url.hash);
+        return Promise.resolve();
+    }
+
+    navigateHandlers.forEach(handler => handler(url));
+
+    if (samePage) {
+        // Drop any page load still in flight (e.g. back pressed mid-transition)
+        navigationId++;
+        document.querySelector('main').classList.remove('is-leaving');
+        urlStateHandlers.forEach(handler => handler());
+        return Promise.resolve();
+    }
+
+    return loadPage(url, route, key, { scrollY });
+}
+
+// Scripts from a parsed document never run; recreate them so they do.
+// Resolves once an external script has loaded (or failed).
+function runScript(source, parent) {
+    const script = document.createElement('script');
+    Array.from(source.attributes).forEach(attr => script.setAttribute(attr.name, attr.value));
+    script.textContent = source.textContent;
+    script.async = false;
+
+    const ready = script.src
+        ? new Promise(resolve => {
+            script.addEventListener('load', resolve, { once: true });
+            script.addEventListener('error', resolve, { once: true });
+        })
+        : Promise.resolve();
+    parent.appendChild(script);
+    return ready;
+}
+
+// Brings <head> in line with the fetched page: title, description, canonical,
+// Open Graph/Twitter tags and anything from `{% block head %}`. Elements are
+// matched by markup, so shared stylesheets and fonts are left untouched.
+// Scripts that already ran are kept; there is no way to unload them.
+function syncHead(newDoc) {
+    const currentElements = Array.from(document.head.children);
+    const currentMarkup = new Set(currentElements.map(el => el.outerHTML));
+    const nextMarkup = new Set(Array.from(newDoc.head.children).map(el => el.outerHTML));
+    const pending = [];
+
+    currentElements.forEach(el => {
+        if (el.tagName !== 'SCRIPT' && !nextMarkup.has(el.outerHTML)) el.remove();
+    });
+
+    Array.from(newDoc.head.children).forEach(el => {
+        if (currentMarkup.has(el.outerHTML)) return;
+        if (el.tagName === 'SCRIPT') {
+            pending.push(runScript(el, document.head));
+            return;
+        }
+        const node = document.importNode(el, true);
+        if (node.matches('link[rel="stylesheet"]')) {
+            pending.push(new Promise(resolve => {
+                node.addEventListener('load', resolve, { once: true });
+                node.addEventListener('error', resolve, { once: true });
+            }));
+        }
+        document.head.appendChild(node);
+    });
+
+    return Promise.all(pending);
+}
+
+// Page-only scripts from `{% block scripts %}` (e.g. a CDN library) that this
+// visit hasn't loaded yet
+function syncPageScripts(newDoc) {
+    const loaded = Array.from(document.querySelectorAll('body > script'));
+    const isLoaded = source => loaded.some(script => source.src
+        ? script.src === source.src
+        : script.textContent === source.textContent);
+
+    return Promise.all(Array.from(newDoc.querySelectorAll('body > script'))
+        .filter(source => !isLoaded(source))
+        .map(source => runScript(source, document.body)));
+}
+
+async function loadPage(url, route, key, { scrollY = 0 } = {}) {
+    const id = ++navigationId;
+    const mainContent = document.querySelector('main');
+    // Without view transitions, fade the old page out while the new one loads
+    const fadeOut = !supportsViewTransitions();
+    if (fadeOut) mainContent.classList.add('is-leaving');
+
+    let newDoc = null;
+    try {
+        const [html] = await Promise.all([
+            getPage(url),
+            fadeOut && new Promise(resolve => setTimeout(resolve, CONFIG.animation.pageTransition))
+        ]);
+        newDoc = new DOMParser().parseFromString(html, 'text/html');
+    } catch (error) {
+        console.error('Error loading page:', error);
+    }
+
+    // A newer navigation has taken over
+    if (id !== navigationId) return;
+
+    const newMain = newDoc && newDoc.querySelector('main');
+    if (!newMain) {
+        showLoadError(url, route, key);
+        return;
+    }
+
+    // The site was redeployed: this script and its styles are stale too
+    if (getBuildHash(newDoc) !== getBuildHash(document)) {
+        clearPageCache();
+        window.location.assign(url.href);
+        return;
+    }
+
+    // Styles and libraries the next page depends on are in place before it mounts
+    await Promise.all([syncHead(newDoc), syncPageScripts(newDoc)]);
+    if (id !== navigationId) return;
+
+    await withViewTransition(() => {
+        unmountPage();
+        mainContent.innerHTML = newMain.innerHTML;
+        mainContent.className = newMain.className;
+        mountPage(route, key, url);
+
+        if (!scrollToHash(url.hash)) window.scrollTo(0, scrollY);
+    }, {
+        'section-title': findSectionTitle,
+        'project-title': findOpenProjectTitle
+    });
+}
+
+function showLoadError(url, route, key) {
+    const mainContent = document.querySelector('main');
+    const template = document.getElementById('page-load-error');
+
+    unmountPage();
+    mainContent.className = 'main-content';
+    mainContent.replaceChildren(template.content.cloneNode(true));
+    mainContent.querySelector('.page-error-retry').addEventListener('click', () => {
+        loadPage(url, route, key);
+    });
+}
+
+function mountPage(route, key, url, context = {}) {
+    currentPage = { route, key, scope: createScope() };
+    currentLocation = locationKey(url);
+    route.mount(currentPage.scope, context);
+    mountHandlers.forEach(handler => handler(url));
+}
+
+function unmountPage() {
+    if (!currentPage) return;
+    currentPage.scope.dispose();
+    urlStateHandlers.clear();
+    currentPage = null;
+}
+
+// Same-origin page links only; new tabs, downloads, files (e.g. /reviews.json)
+// and hash jumps within the current page are left to the browser
+function isRoutableLink(link, event) {
+    if (event.defaultPrevented || event.button !== 0) return false;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+    return isPageLink(link);
+}
+
+function isPageLink(link) {
+    const href = link.getAttribute('href');
+    const target = link.getAttribute('target');
+    if (!href || href.startsWith('#') || link.hasAttribute('download')) return false;
+    if (target && target !== '_self') return false;
+
+    const url = new URL(href, window.location.href);
+    if (url.origin !== window.location.origin) return false;
+    if (url.hash && locationKey(url) === locationKey(window.location)) return false;
+    return /(\/|\.html)$/.test(url.pathname) || !/\.[a-z0-9]+$/i.test(url.pathname);
+}
+
+function startRouter() {
+    history.scrollRestoration = 'manual';
+    initializePrefetch();
+
+    document.addEventListener('click', e => {
+        const link = e.target.closest('a[href]');
+        if (!link || !isRoutableLink(link, e)) return;
+        e.preventDefault();
+        navigate(link.getAttribute('href'));
+    });
+
+    window.addEventListener('popstate', e => {
+        const url = new URL(window.location.href);
+        const previous = currentLocation;
+        currentLocation = locationKey(url);
+        renderLocation(url, previous, { scrollY: e.state && e.state.scrollY });
+    });
+
+    const url = new URL(window.location.href);
+    const route = findRoute(url.pathname);
+    mountPage(route, route.key(url), url, { initial: true });
+}
+
+// ============================================
+// PAGE CACHE & PREFETCH
+// ============================================
+// Fetched pages are kept in memory for the visit and, where available, in
+// Cache Storage under the current build hash. A page from a different build
+// means the site was redeployed, so caches from other builds are dropped.
+const pageCache = new Map();   // pathname -> Promise<html>
+const PAGE_CACHE_PREFIX = 'pages-';
+
+function getBuildHash(doc) {
+    const meta = doc.querySelector('meta[name="build"]');
+    return meta ? meta.content : '';
+}
+
+function openPageStore() {
+    if (!CONFIG.router.persistentCache || !('caches' in window)) return Promise.resolve(null);
+    return caches.open(PAGE_CACHE_PREFIX + getBuildHash(document)).catch(() => null);
+}
+
+async function fetchPage(pathname) {
+    const store = await openPageStore();
+    const stored = store && await store.match(pathname);
+    if (stored) return stored.text();
+
+    const response = await fetch(pathname);
+    // 404s still render (GitHub Pages serves 404.html), they just aren't kept
+    if (!response.ok && response.status !== 404) {
+        throw new Error(`${response.status} loading ${pathname}`);
+    }
+    const html = await response.text();
+    if (store && response.ok) {
+        store.put(pathname, new Response(html, { headers: { 'Content-Type': 'text/html' } })).catch(() => {});
+    }
+    return html;
+}
+
+// Pages are static, so the query string doesn't change what the server sends
+function getPage(url) {
+    const { pathname } = new URL(url, window.location.href);
+    if (!pageCache.has(pathname)) {
+        const page = fetchPage(pathname);
+        // Failed fetches aren't cached, so a retry goes back to the network
+        page.catch(() => pageCache.delete(pathname));
+        pageCache.set(pathname, page);
+    }
+    return pageCache.get(pathname);
+}
+
+function prefetchPage(url) {
+    if (new URL(url, window.location.href).pathname === window.location.pathname) return;
+    getPage(url).catch(() => {});
+}
+
+function clearPageCache() {
+    pageCache.clear();
+    if (!('caches' in window)) return;
+    caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(name => name.startsWith(PAGE_CACHE_PREFIX))
+            .map(name => caches.delete(name))))
+        .catch(() => {});
+}
+
+// Drop Cache Storage entries left by earlier builds
+function pruneOldPageCaches() {
+    if (!('caches' in window)) return;
+    const current = PAGE_CACHE_PREFIX + getBuildHash(document);
+    caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(name => name.startsWith(PAGE_CACHE_PREFIX) && name !== current)
+            .map(name => caches.delete(name))))
+        .catch(() => {});
+}
+
+// Hover/focus/touch intent prefetches any page link; nav links are also
+// prefetched when idle once they scroll into view (unless saving data)
+function initializePrefetch() {
+    let hoverTimer = null;
+
+    const linkFrom = target => {
+        const link = target.closest && target.closest('a[href]');
+        return link && isPageLink(link) ? link : null;
+    };
+
+    document.addEventListener('mouseover', e => {
+        const link = linkFrom(e.target);
+        if (!link) return;
+        clearTimeout(hoverTimer);
+        hoverTimer = setTimeout(() => prefetchPage(link.getAttribute('href')), CONFIG.router.prefetchHoverDelay);
+    });
+
+    document.addEventListener('mouseout', e => {
+        if (linkFrom(e.target)) clearTimeout(hoverTimer);
+    });
+
+    ['focusin', 'touchstart'].forEach(type => {
+        document.addEventListener(type, e => {
+            const link = linkFrom(e.target);
+            if (link) prefetchPage(link.getAttribute('href'));
+        }, { passive: true });
+    });
+
+    pruneOldPageCaches();
+
+    const connection = navigator.connection;
+    if ((connection && connection.saveData) || !('IntersectionObserver' in window)) return;
+
+    const whenIdle = window.requestIdleCallback || (fn => setTimeout(fn, 200));
+    const observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            whenIdle(() => prefetchPage(entry.target.getAttribute('href')));
+        });
+    });
+    document.querySelectorAll('.nav-link').forEach(link => observer.observe(link));
 }
 
 // ============================================
 // CONFIGURATION CONSTANTS
 // ============================================
 const CONFIG = {
-    // Constellation Animation
-    constellation: {
-        particleDensity: 15000,
-        particleDensityMobile: 30000,
-        connectionDistance: 120,
-        particleSpeedRange: 0.4,
-        particleMinRadius: 0.5,
-        particleMaxRadius: 2.0,
-        lineWidth: 0.5,
-        mouseRadius: 180,
-        mouseRepelForce: 0.08,
-        mouseReturnSpeed: 0.02,
-        shootingStarInterval: 4000,    // ms between shooting stars
-        shootingStarSpeed: 12,
-        shootingStarLength: 80,
-        pulseSpeed: 0.002,             // Breathing speed for particle radius
+    // Background canvas (scenes are picked per page with `scene` in front matter)
+    background: {
+        defaultScene: 'constellation',
+        crossfadeMs: 800,              // Scene-to-scene fade when the router changes pages
+        // Adaptive quality: step down a level when frames run long, back up with headroom
+        slowFrameMs: 24,               // Average frame time that counts as struggling (~40fps)
+        fastFrameMs: 18,
+        qualitySampleFrames: 90,
+        qualityLevelCount: 3,          // Every scene lists this many qualityLevels, best first
     },
-    
+
+    // Per-scene settings, keyed by scene name (see background-renderer.js)
+    scenes: {
+        constellation: {
+            particleDensity: 15000,
+            particleDensityMobile: 30000,
+            connectionDistance: 120,
+            particleSpeedRange: 0.4,
+            particleMinRadius: 0.5,
+            particleMaxRadius: 2.0,
+            lineWidth: 0.5,
+            mouseRadius: 180,
+            mouseRepelForce: 0.08,
+            mouseReturnSpeed: 0.02,
+            shootingStarInterval: 4000,    // ms between shooting stars
+            shootingStarSpeed: 12,
+            shootingStarLength: 80,
+            pulseSpeed: 0.002,             // Breathing speed for particle radius
+            qualityLevels: [
+                { density: 1,    aurora: true,  mouseLines: true,  shootingStars: true },
+                { density: 0.6,  aurora: true,  mouseLines: false, shootingStars: true },
+                { density: 0.35, aurora: false, mouseLines: false, shootingStars: false },
+            ],
+        },
+        projector: {
+            moteDensity: 9000,             // px² per dust mote
+            moteSpeed: 0.3,
+            grainDensity: 2500,            // px² per grain speck
+            scratchChance: 0.02,           // Per frame
+            mouseRadius: 150,
+            qualityLevels: [
+                { density: 1,    scratches: true },
+                { density: 0.6,  scratches: true },
+                { density: 0.3,  scratches: false },
+            ],
+        },
+        'data-grid': {
+            cellSize: 48,
+            packetDensity: 40000,          // px² per packet
+            packetSpeed: 0.04,             // Fraction of a cell per frame
+            trailLength: 14,               // Frames of trail behind each packet
+            turnChance: 0.3,               // At each node
+            blinkChance: 0.05,             // Per frame
+            mouseRadius: 160,
+            qualityLevels: [
+                { density: 1,    blinks: true },
+                { density: 0.6,  blinks: true },
+                { density: 0.35, blinks: false },
+            ],
+        },
+    },
+
     // Animation Timings (ms)
     animation: {
         typingSpeed: 80,
@@ -51,6 +597,12 @@ const CONFIG = {
         pillTransitionDelay: 50,
         modalOpenDelay: 100,
     },
+
+    // Client-side navigation
+    router: {
+        prefetchHoverDelay: 65,       // ms a pointer rests on a link before prefetching
+        persistentCache: true,        // Also keep fetched pages in Cache Storage between visits
+    },
     
     // Timeline
     timeline: {
@@ -58,381 +610,417 @@ const CONFIG = {
         itemWidth: 320,               // Width including margins
     },
     
+    // Film & TV Roulette
+    roulette: {
+        spinDuration: 1400,
+        spinTick: 90,                 // ms between titles while spinning
+    },
+
+    // Review archive (Interests page)
+    reviews: {
+        dataUrl: '/reviews.json',     // Generated by src/reviews-json.njk
+        pageSize: 10,
+    },
+
     // UI
     ui: {
         navbarHideThreshold: 50,      // Pixels from top to show navbar in modal
+        swipeThreshold: 40,           // Horizontal px a touch must travel to count as a swipe
+        slideshowInterval: 4000,      // ms each photo stays up in the lightbox slideshow
+        vhsSeekSeconds: 10,           // How far VHS rewind/fast-forward jump
+        vhsTrackingMs: 500,           // How long the tracking effect shows after a seek
     },
-    
-    // Text Content
-    text: {
-        introLine1: "Hello, I'm Corwin.",
-        introLine2: "I'm a ",
-        introRotatingWords: ["developer.", "data nerd.", "film buff.", "problem solver.", "Mavs fan.", "builder."],
-        tagline: "Somewhere between the data and the pixels, I make things that feel right.",
+
+    // Intro script defaults (script itself lives in src/_data/intro.json)
+    intro: {
+        deleteSpeed: 40,
+        rotateInterval: 2500,
     },
 };
 
-function getConstellationColors() {
+// ============================================
+// BACKGROUND SCENES
+// ============================================
+// Simulation and drawing live in background-renderer.js. Where the canvas can
+// be handed to a worker (OffscreenCanvas) they run there; otherwise the same
+// renderer runs on this thread. Either way this side only forwards size,
+// pointer, theme, scene and motion state as messages.
+const BACKGROUND_SETTINGS = { background: CONFIG.background, scenes: CONFIG.scenes };
+
+// Background colours come from the active theme's --scene-* tokens (base.css)
+function getSceneColors() {
     const style = getComputedStyle(document.documentElement);
+    const token = name => style.getPropertyValue(`--scene-${name}`).trim();
     return {
-        particle: style.getPropertyValue('--constellation-particle').trim(),
-        lineRGB: style.getPropertyValue('--constellation-line').trim()
+        particle: token('particle'),
+        line: token('line'),
+        aurora: [token('aurora-1'), token('aurora-2'), token('aurora-3')],
+        auroraOpacity: parseFloat(token('aurora-opacity')) || 0,
+        highlight: token('highlight'),
+        shadow: token('shadow'),
+        vignetteOpacity: parseFloat(token('vignette-opacity')) || 0
     };
 }
 
-// ============================================
-// CONSTELLATION BACKGROUND (Optimized with Spatial Hashing)
-// ============================================
-function initializeConstellation() {
-    const canvas = document.getElementById('constellation-canvas');
-    if (!canvas) return;
+// Set by the layout from the page's `scene` front matter ('none' for showCanvas: false)
+function getPageScene() {
+    const meta = document.querySelector('meta[name="scene"]');
+    return meta ? meta.content : CONFIG.background.defaultScene;
+}
 
-    // Guard against re-initialization
-    if (canvas.dataset.initialized) return;
-    canvas.dataset.initialized = 'true';
+function startBackgroundWorker(canvas) {
+    if (typeof Worker === 'undefined' || !('transferControlToOffscreen' in canvas)) return null;
+
+    let worker;
+    try {
+        worker = new Worker('/js/background-worker.js');
+        const offscreen = canvas.transferControlToOffscreen();
+        worker.postMessage({ type: 'init', canvas: offscreen, settings: BACKGROUND_SETTINGS }, [offscreen]);
+        return worker;
+    } catch (error) {
+        if (worker) worker.terminate();
+        return null;
+    }
+}
 
-    const ctx = canvas.getContext('2d');
-    let particles = [];
-    let shootingStars = [];
-    let frameCount = 0;
-    
-    // Mouse tracking
-    const mouse = { x: -1000, y: -1000, active: false };
-    
-    const setCanvasSize = () => {
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight;
+// The worker imports the renderer itself; this thread only needs it as the fallback
+let backgroundRenderer = null;
+
+function loadBackgroundRenderer() {
+    if (typeof createBackgroundRenderer === 'function') return Promise.resolve(true);
+    if (!backgroundRenderer) {
+        backgroundRenderer = new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = '/js/background-renderer.js';
+            script.addEventListener('load', () => resolve(true), { once: true });
+            script.addEventListener('error', () => {
+                backgroundRenderer = null;
+                script.remove();
+                resolve(false);
+            }, { once: true });
+            document.head.appendChild(script);
+        });
+    }
+    return backgroundRenderer;
+}
+
+function initializeBackground(scope) {
+    let canvas = document.getElementById('background-canvas');
+    if (!canvas) return;
+
+    let onScreen = true;
+    let post = () => {};   // until a renderer is ready; it then gets the full state
+
+    // Runs only while it can be seen: not with reduced motion/calm mode (a still
+    // frame instead), in a hidden tab, off-screen or behind a modal
+    const canAnimate = () => !prefersReducedMotion() && !document.hidden && onScreen &&
+        !document.body.classList.contains('modal-open');
+
+    const sendSize = () => post({ type: 'resize', width: window.innerWidth, height: window.innerHeight });
+    const sendTheme = () => post({ type: 'theme', colors: getSceneColors() });
+    const sendScene = () => post({ type: 'scene', name: getPageScene() });
+    const sendState = () => post({ type: 'state', running: canAnimate(), still: prefersReducedMotion() });
+    const sendAll = () => {
+        sendSize();
+        sendTheme();
+        sendScene();
+        sendState();
     };
-    
-    setCanvasSize();
 
-    // Mouse event listeners
-    document.addEventListener('mousemove', (e) => {
-        mouse.x = e.clientX;
-        mouse.y = e.clientY;
-        mouse.active = true;
+    const startMainThread = () => loadBackgroundRenderer().then(loaded => {
+        if (!loaded || scope.signal.aborted) return;
+        const renderer = createBackgroundRenderer(canvas, BACKGROUND_SETTINGS);
+        post = message => renderer.handle(message);
+        scope.onDispose(() => renderer.handle({ type: 'destroy' }));
+        sendAll();
     });
-    
-    document.addEventListener('mouseleave', () => {
-        mouse.active = false;
+
+    const worker = startBackgroundWorker(canvas);
+    if (worker) {
+        post = message => worker.postMessage(message);
+        scope.onDispose(() => worker.terminate());
+
+        // The canvas now belongs to the worker; if the worker script fails to
+        // load, swap in a fresh canvas and draw on this thread instead
+        scope.listen(worker, 'error', () => {
+            worker.terminate();
+            const fresh = canvas.cloneNode(false);
+            canvas.replaceWith(fresh);
+            visibilityObserver.unobserve(canvas);
+            visibilityObserver.observe(fresh);
+            canvas = fresh;
+            startMainThread();
+        }, { once: true });
+
+        sendAll();
+    } else {
+        startMainThread();
+    }
+
+    // Each page brings its own scene; the renderer crossfades between them
+    onPageMount(sendScene);
+
+    scope.listen(document, 'mousemove', (e) => {
+        post({ type: 'mouse', x: e.clientX, y: e.clientY, active: true });
     });
 
-    class Particle {
-        constructor() {
-            this.reset();
-        }
-        
-        reset() {
-            const { particleSpeedRange, particleMinRadius, particleMaxRadius } = CONFIG.constellation;
-            this.x = Math.random() * canvas.width;
-            this.y = Math.random() * canvas.height;
-            this.vx = Math.random() * particleSpeedRange - (particleSpeedRange / 2);
-            this.vy = Math.random() * particleSpeedRange - (particleSpeedRange / 2);
-            this.baseVx = this.vx;
-            this.baseVy = this.vy;
-            this.baseRadius = Math.random() * (particleMaxRadius - particleMinRadius) + particleMinRadius;
-            this.radius = this.baseRadius;
-            this.pulseOffset = Math.random() * Math.PI * 2; // Random phase so they don't all pulse in sync
-        }
+    scope.listen(document, 'mouseleave', () => {
+        post({ type: 'mouse', x: -1000, y: -1000, active: false });
+    });
 
-        update() {
-            const { mouseRadius, mouseRepelForce, mouseReturnSpeed, pulseSpeed } = CONFIG.constellation;
-            
-            // Breathing pulse
-            this.radius = this.baseRadius + Math.sin(frameCount * pulseSpeed + this.pulseOffset) * 0.4;
-            
-            // Mouse interaction — gentle drift away from cursor
-            if (mouse.active) {
-                const dx = this.x - mouse.x;
-                const dy = this.y - mouse.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                
-                if (dist < mouseRadius && dist > 0) {
-                    const force = (1 - dist / mouseRadius) * mouseRepelForce;
-                    this.vx += (dx / dist) * force;
-                    this.vy += (dy / dist) * force;
-                }
-            }
-            
-            // Gradually return to base velocity
-            this.vx += (this.baseVx - this.vx) * mouseReturnSpeed;
-            this.vy += (this.baseVy - this.vy) * mouseReturnSpeed;
-            
-            this.x += this.vx;
-            this.y += this.vy;
-            
-            // Clamp position and ensure correct velocity direction
-            if (this.x < 0) { this.x = 0; this.vx = Math.abs(this.vx); }
-            else if (this.x > canvas.width) { this.x = canvas.width; this.vx = -Math.abs(this.vx); }
-            if (this.y < 0) { this.y = 0; this.vy = Math.abs(this.vy); }
-            else if (this.y > canvas.height) { this.y = canvas.height; this.vy = -Math.abs(this.vy); }
-        }
+    const handleResize = debounce(sendSize, 250);
+    scope.listen(window, 'resize', handleResize);
+    scope.onDispose(handleResize.cancel);
+
+    scope.listen(document, 'visibilitychange', sendState);
+    scope.listen(reducedMotionQuery, 'change', sendState);
+
+    scope.listen(document, 'themechange', sendTheme);
+
+    // Calm mode and modal changes both show up as attribute changes
+    const attributeObserver = new MutationObserver(sendState);
+    attributeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['data-motion'] });
+    attributeObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+    scope.onDispose(() => attributeObserver.disconnect());
+
+    const visibilityObserver = new IntersectionObserver(([entry]) => {
+        onScreen = entry.isIntersecting;
+        sendState();
+    });
+    visibilityObserver.observe(canvas);
+    scope.onDispose(() => visibilityObserver.disconnect());
+}
+
+// ============================================
+// INTRO SCRIPT (homepage typing sequence)
+// ============================================
+// Steps (see src/_data/intro.json):
+//   { type: "type",   text, line?, speed? }   text may be a list of { when, text } alternatives
+//   { type: "delete", count?, speed? }       count is a number of characters or "all" (default)
+//   { type: "pause",  duration }
+//   { type: "rotate", words, interval? }     appends a rotating word to the current line
+// Any step may carry `when` (a condition or list of conditions) to run only for some visitors.
+function getIntroScript() {
+    const el = document.getElementById('intro-script');
+    if (!el) return null;
+    try {
+        return JSON.parse(el.textContent);
+    } catch (e) {
+        console.error('Failed to parse intro script:', e);
+        return null;
     }
-    
-    // Shooting star class
-    class ShootingStar {
-        constructor() {
-            const { shootingStarSpeed, shootingStarLength } = CONFIG.constellation;
-            // Start from a random edge
-            const side = Math.random();
-            if (side < 0.5) {
-                this.x = Math.random() * canvas.width;
-                this.y = -10;
-            } else {
-                this.x = -10;
-                this.y = Math.random() * canvas.height * 0.5;
-            }
-            const angle = Math.PI / 6 + Math.random() * Math.PI / 4; // 30-75 degrees downward
-            this.vx = Math.cos(angle) * shootingStarSpeed;
-            this.vy = Math.sin(angle) * shootingStarSpeed;
-            this.length = shootingStarLength + Math.random() * 40;
-            this.life = 1.0;
-            this.decay = 0.008 + Math.random() * 0.008;
-        }
-        
-        update() {
-            this.x += this.vx;
-            this.y += this.vy;
-            this.life -= this.decay;
-        }
-        
-        draw(ctx, rgb) {
-            if (this.life <= 0) return;
-            const tailX = this.x - (this.vx / Math.sqrt(this.vx * this.vx + this.vy * this.vy)) * this.length;
-            const tailY = this.y - (this.vy / Math.sqrt(this.vx * this.vx + this.vy * this.vy)) * this.length;
-            
-            const gradient = ctx.createLinearGradient(tailX, tailY, this.x, this.y);
-            gradient.addColorStop(0, `rgba(${rgb}, 0)`);
-            gradient.addColorStop(1, `rgba(${rgb}, ${this.life * 0.8})`);
-            
-            ctx.beginPath();
-            ctx.strokeStyle = gradient;
-            ctx.lineWidth = 1.5;
-            ctx.moveTo(tailX, tailY);
-            ctx.lineTo(this.x, this.y);
-            ctx.stroke();
-            
-            // Bright head
-            ctx.beginPath();
-            ctx.fillStyle = `rgba(255, 255, 255, ${this.life * 0.6})`;
-            ctx.arc(this.x, this.y, 1.5, 0, Math.PI * 2);
-            ctx.fill();
-        }
-        
-        isDead() {
-            return this.life <= 0 || this.x > canvas.width + 50 || this.y > canvas.height + 50;
-        }
+}
+
+// Evaluated once per session so the greeting stays stable across SPA navigation
+function getIntroContext() {
+    if (!sessionStorage.getItem('returningVisitor')) {
+        sessionStorage.setItem('returningVisitor', localStorage.getItem('lastVisit') ? 'true' : 'false');
     }
+    localStorage.setItem('lastVisit', new Date().toISOString());
 
-    const getDensity = () => {
-        const { particleDensity, particleDensityMobile } = CONFIG.constellation;
-        return window.innerWidth < 768 ? particleDensityMobile : particleDensity;
-    };
+    const hour = new Date().getHours();
+    const timeOfDay = hour >= 5 && hour < 12 ? 'morning'
+        : hour >= 12 && hour < 17 ? 'afternoon'
+        : hour >= 17 && hour < 22 ? 'evening'
+        : 'night';
+    const returning = sessionStorage.getItem('returningVisitor') === 'true';
+
+    return { timeOfDay, returning };
+}
 
-    const createParticles = () => {
-        particles = [];
-        const particleCount = Math.floor((canvas.width * canvas.height) / getDensity());
-        for (let i = 0; i < particleCount; i++) {
-            particles.push(new Particle());
+function matchesIntroCondition(when, context) {
+    if (!when) return true;
+    return [].concat(when).every(condition => {
+        switch (condition) {
+            case 'returning': return context.returning;
+            case 'first-visit': return !context.returning;
+            case 'morning':
+            case 'afternoon':
+            case 'evening':
+            case 'night': return context.timeOfDay === condition;
+            default:
+                console.warn(`Unknown intro condition "${condition}"`);
+                return false;
         }
-    };
-    
-    createParticles();
+    });
+}
 
-    // Debounced resize: resize canvas + recreate particles
-    const handleResize = debounce(() => {
-        setCanvasSize();
-        createParticles();
-    }, 250);
-    window.addEventListener('resize', handleResize);
-
-    // Spatial hashing for O(n·k) particle connections instead of O(n²)
-    const connectParticles = (colors) => {
-        const { connectionDistance, lineWidth } = CONFIG.constellation;
-        const maxDistSq = connectionDistance * connectionDistance;
-        const cellSize = connectionDistance;
-        const cols = Math.ceil(canvas.width / cellSize) + 1;
-        const rows = Math.ceil(canvas.height / cellSize) + 1;
-        
-        // Build spatial grid using object for sparse representation
-        const grid = {};
-        for (let idx = 0; idx < particles.length; idx++) {
-            const p = particles[idx];
-            const col = Math.floor(p.x / cellSize);
-            const row = Math.floor(p.y / cellSize);
-            const key = row * cols + col;
-            if (!grid[key]) grid[key] = [];
-            grid[key].push(idx);
+function resolveIntroText(text, context) {
+    if (!Array.isArray(text)) return text || '';
+    const match = text.find(option => matchesIntroCondition(option.when, context));
+    return match ? match.text : '';
+}
+
+// Cycles `words` in `el` until the interval it returns is cleared or the
+// page's scope is disposed (which also drops a swap in progress)
+function startWordRotation(el, words, scope, interval = CONFIG.intro.rotateInterval) {
+    if (!el || words.length < 2) return null;
+    let idx = 0;
+    let swap = null;
+    scope.onDispose(() => clearTimeout(swap));
+    return scope.setInterval(() => {
+        el.classList.add('rotate-out');
+        swap = setTimeout(() => {
+            idx = (idx + 1) % words.length;
+            el.textContent = words[idx];
+            el.classList.remove('rotate-out');
+            el.classList.add('rotate-in');
+            swap = setTimeout(() => el.classList.remove('rotate-in'), 400);
+        }, 300);
+    }, interval);
+}
+
+// Plays the script into .typed-text lines inside `container`.
+// With `instant`, renders the final state immediately (static homepage).
+async function playIntroScript(container, script, scope, { instant = false } = {}) {
+    const context = getIntroContext();
+    const tagline = container.querySelector('.tagline');
+    const lines = [];
+    let current = null;
+
+    // Settles early when the page is left, so a half-typed line stops there
+    const { signal } = scope;
+    const wait = ms => (instant || !ms || signal.aborted) ? Promise.resolve() : new Promise(resolve => {
+        const done = () => {
+            clearTimeout(id);
+            signal.removeEventListener('abort', done);
+            resolve();
+        };
+        const id = setTimeout(done, ms);
+        signal.addEventListener('abort', done);
+    });
+
+    container.querySelectorAll('.typed-text').forEach(line => line.remove());
+
+    function getLine(number) {
+        while (lines.length < number) {
+            const p = document.createElement('p');
+            p.className = 'typed-text';
+            p.appendChild(document.createTextNode(''));
+            container.insertBefore(p, tagline);
+            lines.push({ el: p, text: p.firstChild, rotator: null, timer: null });
         }
-        
-        ctx.lineWidth = lineWidth;
-        const rgb = colors.lineRGB;
-        
-        // For each cell, check current cell + right/bottom neighbors to avoid duplicate pairs
-        for (const cellKey in grid) {
-            const cellIdx = parseInt(cellKey);
-            const cellRow = Math.floor(cellIdx / cols);
-            const cellCol = cellIdx % cols;
-            const cellParticles = grid[cellKey];
-            
-            // Neighbor offsets: same cell, right, bottom-left, bottom, bottom-right
-            const neighbors = [
-                [0, 0], [0, 1], [1, -1], [1, 0], [1, 1]
-            ];
-            
-            for (const [dr, dc] of neighbors) {
-                const nr = cellRow + dr;
-                const nc = cellCol + dc;
-                if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue;
-                
-                const neighborKey = nr * cols + nc;
-                const neighborParticles = grid[neighborKey];
-                if (!neighborParticles) continue;
-                
-                const isSameCell = dr === 0 && dc === 0;
-                
-                for (let i = 0; i < cellParticles.length; i++) {
-                    const startJ = isSameCell ? i + 1 : 0;
-                    for (let j = startJ; j < neighborParticles.length; j++) {
-                        const p1 = particles[cellParticles[i]];
-                        const p2 = particles[neighborParticles[j]];
-                        const dx = p1.x - p2.x;
-                        const dy = p1.y - p2.y;
-                        const distSq = dx * dx + dy * dy;
-                        
-                        if (distSq < maxDistSq) {
-                            const alpha = 1 - Math.sqrt(distSq) / connectionDistance;
-                            ctx.beginPath();
-                            ctx.strokeStyle = `rgba(${rgb}, ${alpha})`;
-                            ctx.moveTo(p1.x, p1.y);
-                            ctx.lineTo(p2.x, p2.y);
-                            ctx.stroke();
-                        }
-                    }
-                }
+        return lines[number - 1];
+    }
+
+    function setCursor(line) {
+        lines.forEach(l => l.el.classList.toggle('typing-cursor', l === line));
+    }
+
+    const actions = {
+        async type(step) {
+            current = getLine(step.line || Math.max(lines.length, 1));
+            setCursor(current);
+            const text = resolveIntroText(step.text, context);
+            const speed = step.speed || CONFIG.animation.typingSpeed;
+            for (const char of text) {
+                if (signal.aborted) return;
+                current.text.data += char;
+                await wait(speed);
+            }
+        },
+
+        async delete(step) {
+            if (!current) return;
+            setCursor(current);
+            if (step.count === undefined || step.count === 'all') {
+                clearInterval(current.timer);
+                if (current.rotator) current.rotator.remove();
+                current.rotator = null;
+            }
+            const count = Number.isFinite(step.count) ? step.count : current.text.data.length;
+            const speed = step.speed || CONFIG.intro.deleteSpeed;
+            for (let i = 0; i < count && current.text.data.length && !signal.aborted; i++) {
+                current.text.data = current.text.data.slice(0, -1);
+                await wait(speed);
             }
+        },
+
+        async pause(step) {
+            await wait(step.duration);
+        },
+
+        async rotate(step) {
+            const words = step.words || [];
+            if (!words.length) return;
+            current = current || getLine(1);
+            clearInterval(current.timer);
+            if (current.rotator) current.rotator.remove();
+
+            const span = document.createElement('span');
+            span.className = 'rotating-word';
+            span.textContent = words[0];
+            current.el.appendChild(span);
+            current.rotator = span;
+            current.timer = startWordRotation(span, words, scope, step.interval);
         }
     };
 
-    // Cache theme colors per frame to avoid repeated getComputedStyle calls
-    let frameColors = getConstellationColors();
-    let colorCacheFrame = 0;
+    for (const step of script.steps || []) {
+        if (signal.aborted) return;
+        if (!matchesIntroCondition(step.when, context)) continue;
+        const action = actions[step.type];
+        if (action) await action(step);
+        else console.warn(`Unknown intro step "${step.type}"`);
+    }
 
-    const getFrameColors = () => {
-        // Refresh every 60 frames (~1s) to pick up theme changes
-        if (colorCacheFrame++ % 60 === 0) {
-            frameColors = getConstellationColors();
-        }
-        return frameColors;
-    };
+    if (instant) setCursor(null);
+}
 
-    const animate = () => {
-        if (document.hidden) {
-            requestAnimationFrame(animate);
-            return;
-        }
+// The typed intro plays once per session, on a direct visit to the homepage
+function initializeHomeIntro(scope, { initial = false } = {}) {
+    const container = document.querySelector('.typing-container');
+    const script = getIntroScript();
+    const taglineElement = document.getElementById('tagline');
+    const introButtons = document.getElementById('intro-buttons');
+    if (!container || !script) return;
 
-        frameCount++;
-        const colors = getFrameColors();
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-        // ── Aurora gradient wash (behind everything) ──
-        const t = frameCount * 0.0006;
-        const w = canvas.width;
-        const h = canvas.height;
-        const isDark = document.documentElement.getAttribute('data-theme') !== 'light';
-        const aurOpa = isDark ? 0.07 : 0.04;
-
-        // Three orbiting colour pools
-        const ax = w * (0.25 + 0.2 * Math.sin(t));
-        const ay = h * (0.35 + 0.2 * Math.cos(t * 0.7));
-        const bx = w * (0.7 + 0.15 * Math.cos(t * 0.9));
-        const by = h * (0.55 + 0.2 * Math.sin(t * 0.6));
-        const cx2 = w * (0.5 + 0.25 * Math.sin(t * 1.1 + 2));
-        const cy2 = h * (0.2 + 0.15 * Math.cos(t * 0.5 + 1));
-        const radius = Math.max(w, h) * 0.45;
-
-        const g1 = ctx.createRadialGradient(ax, ay, 0, ax, ay, radius);
-        g1.addColorStop(0, `rgba(139, 92, 246, ${aurOpa})`);
-        g1.addColorStop(1, 'rgba(139, 92, 246, 0)');
-        ctx.fillStyle = g1;
-        ctx.fillRect(0, 0, w, h);
-
-        const g2 = ctx.createRadialGradient(bx, by, 0, bx, by, radius * 0.8);
-        g2.addColorStop(0, `rgba(59, 130, 246, ${aurOpa * 0.6})`);
-        g2.addColorStop(1, 'rgba(59, 130, 246, 0)');
-        ctx.fillStyle = g2;
-        ctx.fillRect(0, 0, w, h);
-
-        const g3 = ctx.createRadialGradient(cx2, cy2, 0, cx2, cy2, radius * 0.6);
-        g3.addColorStop(0, `rgba(236, 72, 153, ${aurOpa * 0.4})`);
-        g3.addColorStop(1, 'rgba(236, 72, 153, 0)');
-        ctx.fillStyle = g3;
-        ctx.fillRect(0, 0, w, h);
-
-        // ── Vignette (subtle darkening at edges) ──
-        if (isDark) {
-            const vig = ctx.createRadialGradient(w / 2, h / 2, h * 0.3, w / 2, h / 2, Math.max(w, h) * 0.7);
-            vig.addColorStop(0, 'rgba(0,0,0,0)');
-            vig.addColorStop(1, 'rgba(0,0,0,0.25)');
-            ctx.fillStyle = vig;
-            ctx.fillRect(0, 0, w, h);
-        }
-        
-        ctx.fillStyle = colors.particle;
-        particles.forEach(p => {
-            p.update();
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, Math.max(p.radius, 0.1), 0, Math.PI * 2);
-            ctx.fill();
-        });
-        connectParticles(colors);
+    function setupStaticHomePage() {
+        playIntroScript(container, script, scope, { instant: true });
+        if (taglineElement) taglineElement.textContent = script.tagline || '';
+        if (introButtons) introButtons.style.display = 'none';
         
-        // Draw mouse-to-particle connections for a subtle glow effect
-        if (mouse.active) {
-            const { mouseRadius } = CONFIG.constellation;
-            const rgb = colors.lineRGB;
-            ctx.lineWidth = 0.3;
-            for (let i = 0; i < particles.length; i++) {
-                const p = particles[i];
-                const dx = p.x - mouse.x;
-                const dy = p.y - mouse.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                if (dist < mouseRadius) {
-                    const alpha = (1 - dist / mouseRadius) * 0.4;
-                    ctx.beginPath();
-                    ctx.strokeStyle = `rgba(${rgb}, ${alpha})`;
-                    ctx.moveTo(mouse.x, mouse.y);
-                    ctx.lineTo(p.x, p.y);
-                    ctx.stroke();
-                }
-            }
-        }
+        document.body.classList.add('intro-done');
+    }
+
+    function runIntroSequence() {
+        if (!introButtons || !taglineElement) return;
         
-        // Update and draw shooting stars
-        shootingStars = shootingStars.filter(s => !s.isDead());
-        shootingStars.forEach(s => {
-            s.update();
-            s.draw(ctx, colors.lineRGB);
+        taglineElement.style.display = 'none';
+
+        playIntroScript(container, script, scope).then(() => {
+            if (scope.signal.aborted) return;
+            introButtons.classList.add('visible');
+            addIntroButtonListeners();
         });
-        
-        requestAnimationFrame(animate);
-    };
-    
-    // Periodically spawn shooting stars
-    setInterval(() => {
-        if (!document.hidden && Math.random() < 0.7) {
-            shootingStars.push(new ShootingStar());
-        }
-    }, CONFIG.constellation.shootingStarInterval);
+    }
     
-    animate();
+    function addIntroButtonListeners() {
+        introButtons.querySelectorAll('.intro-btn').forEach(button => {
+            scope.listen(button, 'click', (e) => {
+                e.preventDefault();
+                sessionStorage.setItem('introSeen', 'true');
+                
+                container.classList.add('fade-out');
+                introButtons.classList.add('fade-out');
+                document.body.classList.add('intro-done');
+                
+                scope.setTimeout(() => navigate(button.getAttribute('href')), CONFIG.animation.introFadeOut);
+            });
+        });
+    }
+
+    if (initial && !sessionStorage.getItem('introSeen')) {
+        runIntroSequence();
+    } else {
+        setupStaticHomePage();
+    }
 }
 
 // ============================================
 // HAMBURGER MENU
 // ============================================
-function initializeHamburgerMenu() {
+function initializeHamburgerMenu(scope) {
     const hamburger = document.querySelector(".hamburger");
     const navMenu = document.querySelector(".nav-menu");
 
@@ -452,17 +1040,14 @@ function initializeHamburgerMenu() {
         }
     };
 
-    hamburger.addEventListener("click", toggleMenu);
-    
-    document.querySelectorAll(".nav-link").forEach(link => {
-        link.addEventListener("click", closeMenu);
-    });
+    scope.listen(hamburger, "click", toggleMenu);
+    onNavigate(closeMenu);
 }
 
 // ============================================
 // PORTFOLIO MODAL
 // ============================================
-function initializePortfolioModal() {
+function initializePortfolioModal(scope) {
     const portfolioContent = document.querySelector('.portfolio-content');
     if (!portfolioContent) return;
 
@@ -519,17 +1104,21 @@ function initializePortfolioModal() {
             ? `<h4>Technical Breakdown</h4>${createListFromData(tile.dataset.techBreakdown)}` 
             : '';
 
-        const videoSrc = tile.dataset.videoSrc;
-        if (videoSrc && (videoSrc.includes('youtube.com/') || videoSrc.includes('youtu.be/'))) {
-            modalMediaContainer.innerHTML = `
-                <iframe 
-                    src="${videoSrc}" 
-                    class="youtube-embed" 
-                    frameborder="0" 
-                    allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" 
-                    allowfullscreen
-                    loading="lazy"
-                ></iframe>`;
+        const source = parseMediaSource(tile.dataset.videoSrc, {
+            poster: tile.dataset.poster,
+            captions: tile.dataset.captions,
+            captionsLang: tile.dataset.captionsLang
+        });
+        if (source) {
+            const title = tile.dataset.title;
+            modalMediaContainer.replaceChildren(createMediaFacade(source, {
+                title,
+                onPlay: () => {
+                    const media = createMediaElement(source, { title });
+                    media.classList.add('media-embed');
+                    modalMediaContainer.replaceChildren(media);
+                }
+            }));
         } else {
             modalMediaContainer.innerHTML = `
                 <img 
@@ -596,13 +1185,17 @@ function initializePortfolioModal() {
     modalNextBtn.addEventListener('click', showNextProject);
     modalPrevBtn.addEventListener('click', showPrevProject);
     
-    document.addEventListener('keydown', e => {
+    scope.listen(document, 'keydown', e => {
         if (modal.classList.contains('active')) {
             if (e.key === 'Escape') closeModal();
             if (e.key === 'ArrowRight') showNextProject();
             if (e.key === 'ArrowLeft') showPrevProject();
         }
     });
+
+    scope.onDispose(() => {
+        if (modal.classList.contains('active')) closeModal();
+    });
 }
 
 // ============================================
@@ -615,6 +1208,7 @@ function initializePortfolioFilter() {
     const navPill = nav.querySelector('.portfolio-nav-pill');
     const navLinks = nav.querySelectorAll('.portfolio-nav-link');
     const portfolioSections = document.querySelectorAll('.portfolio-section');
+    const defaultLink = navLinks[0];
 
     function movePill(target) {
         if (!target || !navPill) return;
@@ -624,15 +1218,20 @@ function initializePortfolioFilter() {
         target.classList.add('active');
     }
 
-    navLinks.forEach(link => {
-        link.addEventListener('click', (e) => {
-            e.preventDefault();
-            
-            const currentActive = nav.querySelector('.portfolio-nav-link.active');
-            if (currentActive === link) return;
+    // ?section=<data-target>, omitted for the default (first) section
+    function getLinkFromUrl() {
+        const section = getUrlState('section');
+        return Array.from(navLinks).find(l => l.dataset.target === section) || defaultLink;
+    }
 
+    function showSection(link, { updateUrl = true } = {}) {
+        const currentActive = nav.querySelector('.portfolio-nav-link.active');
+        if (currentActive === link) return;
+
+        const targetId = link.dataset.target;
+
+        withViewTransition(() => {
             movePill(link);
-            const targetId = link.dataset.target;
 
             portfolioSections.forEach(section => {
                 section.classList.add('hidden');
@@ -642,11 +1241,33 @@ function initializePortfolioFilter() {
             if (targetSection) {
                 targetSection.classList.remove('hidden');
             }
+        }, { 'section-title': findSectionTitle });
+
+        if (updateUrl) {
+            // Album/tape state belongs to the section being left
+            setUrlState({
+                section: link === defaultLink ? null : targetId,
+                album: null,
+                photo: null,
+                tape: null
+            });
+        }
+    }
+
+    navLinks.forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            showSection(link);
         });
     });
 
-    // Initialize pill position
-    const initialActiveLink = nav.querySelector('.portfolio-nav-link.active');
+    onUrlStateChange(() => showSection(getLinkFromUrl(), { updateUrl: false }));
+
+    // Initialize pill position (restoring the section from the URL)
+    const initialActiveLink = getLinkFromUrl();
+    if (initialActiveLink !== nav.querySelector('.portfolio-nav-link.active')) {
+        showSection(initialActiveLink, { updateUrl: false });
+    }
     if (initialActiveLink) {
         setTimeout(() => {
             navPill.style.transition = 'none';
@@ -664,210 +1285,1161 @@ function initializePortfolioFilter() {
 function initializeTerminalPortfolio() {
     const terminalFiles = document.querySelectorAll('.terminal-file');
     const detailPanel = document.getElementById('terminal-detail-panel');
-    if (!terminalFiles.length || !detailPanel) return;
+    const detailBody = document.getElementById('terminal-detail-body');
+    if (!terminalFiles.length || !detailPanel || !detailBody) return;
 
-    const titleEl = document.getElementById('terminal-detail-title');
-    const descEl = document.getElementById('terminal-detail-desc');
-    const techEl = document.getElementById('terminal-detail-tech');
-    const repoEl = document.getElementById('terminal-detail-repo');
-    const demoEl = document.getElementById('terminal-detail-demo');
     const closeBtn = detailPanel.querySelector('.terminal-detail-close');
+    const promptPath = document.querySelector('.terminal-prompt-waiting .terminal-path');
+    const siteName = document.querySelector('.site-name')?.textContent || '';
+
+    // Project permalinks are /projects/<slug>.html (see src/project.njk)
+    const projectUrl = slug => `/projects/${slug}.html`;
 
-    function openDetail(file) {
-        // Deselect all
-        terminalFiles.forEach(f => f.classList.remove('selected'));
-        file.classList.add('selected');
+    function getSlugFromPath(pathname) {
+        const match = pathname.match(/^\/projects\/([a-z0-9-]+)\.html$/);
+        return match ? match[1] : null;
+    }
 
-        titleEl.textContent = file.dataset.title;
-        descEl.textContent = file.dataset.desc;
+    // The <title> the router gives /portfolio.html; a visit that starts on a
+    // project permalink reads it from the listing page once it's needed
+    let listingTitle = getSlugFromPath(window.location.pathname) ? null : document.title;
 
-        // Tech breakdown
-        try {
-            const techItems = JSON.parse(file.dataset.techBreakdown);
-            techEl.innerHTML = techItems.map(item =>
-                `<div class="tech-item">${item.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')}</div>`
-            ).join('');
-        } catch (e) { techEl.innerHTML = ''; }
+    function restoreListingTitle() {
+        if (listingTitle) {
+            document.title = listingTitle;
+            return;
+        }
+        getPage('/portfolio.html')
+            .then(html => {
+                listingTitle = new DOMParser().parseFromString(html, 'text/html').title;
+                if (listingTitle && detailPanel.isConnected && !detailPanel.classList.contains('open')) {
+                    document.title = listingTitle;
+                }
+            })
+            .catch(() => {});
+    }
+
+    // The project title morphs between its terminal row and the README heading
+    const projectTitleNames = file => ({
+        'project-title': () => findOpenProjectTitle() || (file && file.querySelector('.terminal-filename'))
+    });
 
-        // Links
-        const repo = file.dataset.repoLink;
-        const video = file.dataset.videoSrc;
-        repoEl.href = repo || '#';
-        repoEl.classList.toggle('hidden-link', !repo);
-        demoEl.href = video || '#';
-        demoEl.classList.toggle('hidden-link', !video || video.includes('your_video_id'));
+    // README markup is rendered at build time into one <template> per project
+    function openDetail(file, { updateUrl = true } = {}) {
+        const slug = file.dataset.slug;
+        const template = document.getElementById(`project-readme-${slug}`);
+        if (!template) return;
+
+        withViewTransition(() => {
+            // Deselect all
+            terminalFiles.forEach(f => f.classList.remove('selected'));
+            file.classList.add('selected');
+
+            detailBody.replaceChildren(template.content.cloneNode(true));
+            detailPanel.classList.add('open');
+        }, projectTitleNames(file));
+        if (promptPath) promptPath.textContent = `~/projects/${slug}`;
+
+        document.title = `${template.content.querySelector('h3').textContent} - ${siteName}`;
+        if (updateUrl && window.location.pathname !== projectUrl(slug)) {
+            updateHistory(projectUrl(slug));
+        }
+    }
 
-        detailPanel.classList.add('open');
+    function closeDetail({ updateUrl = true } = {}) {
+        const selected = document.querySelector('.terminal-file.selected');
+        withViewTransition(() => {
+            detailPanel.classList.remove('open');
+            terminalFiles.forEach(f => f.classList.remove('selected'));
+        }, projectTitleNames(selected));
+        if (promptPath) promptPath.textContent = '~/projects';
+
+        restoreListingTitle();
+        if (updateUrl && getSlugFromPath(window.location.pathname)) {
+            updateHistory('/portfolio.html');
+        }
     }
 
     terminalFiles.forEach(file => {
         file.addEventListener('click', () => openDetail(file));
     });
 
-    closeBtn.addEventListener('click', () => {
-        detailPanel.classList.remove('open');
-        terminalFiles.forEach(f => f.classList.remove('selected'));
+    closeBtn.addEventListener('click', () => closeDetail());
+
+    // Back/forward between /portfolio.html and project permalinks stays in-page
+    onUrlStateChange(() => {
+        const slug = getSlugFromPath(window.location.pathname);
+        const file = slug && Array.from(terminalFiles).find(f => f.dataset.slug === slug);
+        if (file) openDetail(file, { updateUrl: false });
+        else if (detailPanel.classList.contains('open')) closeDetail({ updateUrl: false });
+    });
+
+    initializeTerminalCommandLine({
+        files: Array.from(terminalFiles),
+        openDetail,
+        closeDetail,
+        getCurrentFile: () => detailPanel.classList.contains('open')
+            ? document.querySelector('.terminal-file.selected')
+            : null
+    });
+}
+
+// ============================================
+// TERMINAL COMMAND LINE
+// ============================================
+function initializeTerminalCommandLine(terminal) {
+    const input = document.getElementById('terminal-input');
+    const log = document.getElementById('terminal-log');
+    if (!input || !log) return;
+
+    const terminalBody = input.closest('.terminal-body');
+    const slugs = terminal.files.map(f => f.dataset.slug);
+    const commandHistory = [];
+    let historyIndex = 0;
+
+    const HELP = [
+        'Available commands:',
+        '  ls [--stack <tech>] [--status <live|done>]   list projects',
+        '  cd <project>                                 open a project (cd .. to go back)',
+        '  cat README.md                                show the current project\'s README',
+        '  open repo                                    open the project on GitHub',
+        '  play demo                                    watch the project demo',
+        '  clear                                        clear the screen',
+        '  help                                         show this message',
+        'Tab completes project names; ↑/↓ browse history.'
+    ].join('\n');
+
+    function print(text, className = '') {
+        const line = document.createElement('div');
+        line.className = `terminal-line terminal-output ${className}`.trim();
+        line.textContent = text;
+        log.appendChild(line);
+    }
+
+    function echoCommand(command) {
+        const prompt = input.closest('.terminal-prompt').cloneNode(true);
+        prompt.classList.remove('terminal-prompt-waiting');
+        const cmd = document.createElement('span');
+        cmd.className = 'terminal-cmd';
+        cmd.textContent = command;
+        prompt.querySelector('.terminal-input').replaceWith(cmd);
+        log.appendChild(prompt);
+    }
+
+    function findFile(name) {
+        const slug = name.replace(/^(\.\/|~\/projects\/)/, '').replace(/\/$/, '');
+        return terminal.files.find(f => f.dataset.slug === slug);
+    }
+
+    // Returns the current project or prints the error for `command`
+    function requireProject(command) {
+        const file = terminal.getCurrentFile();
+        if (!file) print(`${command}: not inside a project (try: cd <project>)`, 'terminal-error');
+        return file;
+    }
+
+    function openExternal(url) {
+        window.open(url, '_blank', 'noopener,noreferrer');
+    }
+
+    const commands = {
+        help() {
+            print(HELP);
+        },
+
+        clear() {
+            log.innerHTML = '';
+        },
+
+        ls(args) {
+            const filters = {};
+            for (let i = 0; i < args.length; i++) {
+                const [flag, inline] = args[i].split('=');
+                if (flag === '--stack' || flag === '--status') {
+                    const value = inline !== undefined ? inline : args[++i];
+                    if (!value) return print(`ls: option '${flag}' requires an argument`, 'terminal-error');
+                    filters[flag.slice(2)] = value.toLowerCase();
+                } else if (!/^-[la]+$/.test(flag)) {
+                    return print(`ls: unrecognized option '${args[i]}'`, 'terminal-error');
+                }
+            }
+
+            let shown = 0;
+            terminal.files.forEach(file => {
+                const stack = file.dataset.stack.toLowerCase().split('|');
+                const matches = (!filters.stack || stack.some(tech => tech.includes(filters.stack))) &&
+                                (!filters.status || file.dataset.status === filters.status);
+                file.classList.toggle('filtered-out', !matches);
+                if (matches) shown++;
+            });
+            print(`total ${shown}`);
+        },
+
+        cd(args) {
+            const target = args[0];
+            if (!target || target === '..' || target === '~' || target === '~/projects') {
+                if (terminal.getCurrentFile()) terminal.closeDetail();
+                return;
+            }
+            const file = findFile(target);
+            if (!file) return print(`cd: no such file or directory: ${target}`, 'terminal-error');
+            terminal.openDetail(file);
+        },
+
+        cat(args) {
+            if (args[0] !== 'README.md') {
+                return print(`cat: ${args[0] || ''}: No such file or directory`, 'terminal-error');
+            }
+            const file = requireProject('cat');
+            if (file) terminal.openDetail(file);
+        },
+
+        open(args) {
+            if (args[0] !== 'repo') return print('usage: open repo', 'terminal-error');
+            const file = requireProject('open');
+            if (!file) return;
+            if (!file.dataset.repo) return print('open: this project has no public repo', 'terminal-error');
+            openExternal(file.dataset.repo);
+        },
+
+        play(args) {
+            if (args[0] !== 'demo') return print('usage: play demo', 'terminal-error');
+            const file = requireProject('play');
+            if (!file) return;
+            if (!file.dataset.video) return print('play: no demo recorded for this project yet', 'terminal-error');
+            openExternal(file.dataset.video);
+        }
+    };
+
+    function run(line) {
+        const command = line.trim();
+        echoCommand(command);
+        if (!command) return;
+
+        commandHistory.push(command);
+        historyIndex = commandHistory.length;
+
+        const [name, ...args] = command.split(/\s+/);
+        if (Object.prototype.hasOwnProperty.call(commands, name)) commands[name](args);
+        else print(`${name}: command not found (type help)`, 'terminal-error');
+    }
+
+    // Candidates for the word under the cursor, based on the command typed so far
+    function getCompletions(words) {
+        if (words.length <= 1) return Object.keys(commands);
+        switch (words[0]) {
+            case 'cd': return ['..', ...slugs.map(slug => `${slug}/`)];
+            case 'cat': return ['README.md'];
+            case 'open': return ['repo'];
+            case 'play': return ['demo'];
+            case 'ls': return words[words.length - 2] === '--status' ? ['live', 'done'] : ['--stack', '--status'];
+            default: return [];
+        }
+    }
+
+    function complete() {
+        const words = input.value.split(' ');
+        const partial = words[words.length - 1];
+        const matches = getCompletions(words).filter(c => c.startsWith(partial));
+        if (!matches.length) return;
+
+        let completion = matches[0];
+        if (matches.length > 1) {
+            // Extend to the longest common prefix and list the options
+            while (!matches.every(m => m.startsWith(completion))) completion = completion.slice(0, -1);
+            if (completion === partial) {
+                echoCommand(input.value);
+                print(matches.join('  '));
+            }
+        } else if (!completion.endsWith('/')) {
+            completion += ' ';
+        }
+        words[words.length - 1] = completion;
+        input.value = words.join(' ');
+    }
+
+    function browseHistory(step) {
+        if (!commandHistory.length) return;
+        historyIndex = Math.min(Math.max(historyIndex + step, 0), commandHistory.length);
+        input.value = commandHistory[historyIndex] || '';
+        // Keep the caret at the end like a real shell
+        requestAnimationFrame(() => input.setSelectionRange(input.value.length, input.value.length));
+    }
+
+    input.addEventListener('keydown', e => {
+        switch (e.key) {
+            case 'Enter':
+                run(input.value);
+                input.value = '';
+                break;
+            case 'Tab':
+                // Leave Tab alone on an empty prompt so keyboard users can move on
+                if (!input.value || e.shiftKey) return;
+                e.preventDefault();
+                complete();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                browseHistory(-1);
+                break;
+            case 'ArrowDown':
+                e.preventDefault();
+                browseHistory(1);
+                break;
+            default:
+                return;
+        }
+        log.scrollTop = log.scrollHeight;
     });
+
+    // Clicking empty space in the terminal focuses the prompt
+    if (terminalBody) {
+        terminalBody.addEventListener('click', e => {
+            if (e.target === terminalBody) input.focus();
+        });
+    }
 }
 
 // ============================================
 // ALBUM DECK (Photography — card shuffle)
 // ============================================
-function initializeAlbumDecks() {
+
+// Only the top card's photo is in the markup; the rest wait in data-src and
+// data-srcset. Each card's photo is loaded when it's next in line.
+function loadCardPhoto(card) {
+    if (!card) return;
+    card.querySelectorAll('[data-src], [data-srcset]').forEach(el => {
+        if (el.dataset.srcset) el.setAttribute('srcset', el.dataset.srcset);
+        if (el.dataset.src) el.setAttribute('src', el.dataset.src);
+        delete el.dataset.srcset;
+        delete el.dataset.src;
+    });
+}
+
+// A pile of .album-card elements with the top card last (the CSS stacks them
+// with nth-last-child). Forward deals the top card to the bottom; back brings
+// the bottom card up with the reverse animation. Each card's data-photo is its
+// place in viewing order, so the current photo is read off the top card and
+// the counters can't drift. Used by both the small decks and the lightbox.
+function createCardStack(container, { onChange, signal } = {}) {
+    const total = container.children.length;
+    let moving = false;
+
+    const topCard = () => container.lastElementChild;
+    const current = () => Number(topCard().dataset.photo) || 0;
+
+    // The top photo and the next one are loaded, nothing further ahead
+    function preload() {
+        loadCardPhoto(topCard());
+        loadCardPhoto(topCard().previousElementSibling);
+    }
+
+    function settle() {
+        Array.from(container.children).forEach(card => card.classList.remove('dealing', 'undealing'));
+        moving = false;
+        preload();
+        if (onChange) onChange(current());
+    }
+
+    // Returns false if the stack is mid-animation (or has nothing to move)
+    function step(direction) {
+        if (total <= 1 || moving) return false;
+        moving = true;
+
+        let card;
+        if (direction > 0) {
+            card = topCard();
+            card.classList.add('dealing');
+        } else {
+            card = container.firstElementChild;
+            loadCardPhoto(card);
+            container.append(card);
+            card.classList.add('undealing');
+        }
+
+        card.addEventListener('animationend', () => {
+            if (direction > 0) container.prepend(card);
+            settle();
+        }, { once: true, signal });
+        return true;
+    }
+
+    // Straight to a photo, without animating every card in between
+    function jumpTo(photo) {
+        if (moving || !(photo >= 0 && photo < total) || photo === current()) return;
+        while (current() !== photo) container.prepend(topCard());
+        settle();
+    }
+
+    preload();
+    return { step, jumpTo, current, total };
+}
+
+// Each deck's stack, so the lightbox can leave the deck on the photo it closed on
+const albumDeckStacks = new WeakMap();
+
+function initializeAlbumDecks(scope) {
     const decks = document.querySelectorAll('.album-deck');
     if (!decks.length) return;
 
     decks.forEach(deck => {
-        const cards = deck.querySelectorAll('.album-card');
+        const container = deck.querySelector('.album-cards');
+        const cards = container.querySelectorAll('.album-card');
         const currentEl = deck.querySelector('.album-current');
         const totalEl = deck.querySelector('.album-total');
         if (!cards.length) return;
 
-        let currentIndex = 0;
-        totalEl.textContent = cards.length;
-        currentEl.textContent = 1;
-
-        // Re-stack cards so top card is last in DOM order (CSS nth-last-child)
-        function restackCards() {
-            const container = deck.querySelector('.album-cards');
-            const arr = Array.from(container.children);
-            arr.forEach(card => {
-                card.classList.remove('dealing');
-                card.style.transform = '';
-                card.style.zIndex = '';
-            });
-        }
+        // Number photos in viewing order: the top card (last child) is photo 0
+        Array.from(cards).reverse().forEach((card, i) => { card.dataset.photo = i; });
+
+        const stack = createCardStack(container, {
+            signal: scope.signal,
+            onChange: photo => { currentEl.textContent = photo + 1; }
+        });
+        albumDeckStacks.set(deck, stack);
+        totalEl.textContent = stack.total;
+        currentEl.textContent = stack.current() + 1;
 
-        // Deal animation on click (small deck)
-        deck.addEventListener('click', (e) => {
-            // If it's a double-click or the lightbox trigger, don't deal
+        // Click deals the next card; the second click of a double-click opens
+        // the lightbox instead
+        scope.listen(container, 'click', (e) => {
             if (e.detail === 2) return;
+            stack.step(1);
+        });
 
-            if (cards.length <= 1) return;
+        scope.listen(container, 'dblclick', () => {
+            openAlbumLightbox(deck);
+        });
 
-            const container = deck.querySelector('.album-cards');
-            const topCard = container.lastElementChild;
+        // The pile is a button for keyboard users: Enter or Space opens the
+        // viewer, arrow keys deal back and forth
+        scope.listen(container, 'keydown', (e) => {
+            switch (e.key) {
+                case 'Enter':
+                case ' ':
+                    e.preventDefault();
+                    openAlbumLightbox(deck);
+                    break;
+                case 'ArrowRight':
+                    e.preventDefault();
+                    stack.step(1);
+                    break;
+                case 'ArrowLeft':
+                    e.preventDefault();
+                    stack.step(-1);
+                    break;
+            }
+        });
 
-            topCard.classList.add('dealing');
+        deck.querySelectorAll('.album-step').forEach(button => {
+            scope.listen(button, 'click', () => stack.step(Number(button.dataset.step)));
+        });
+    });
 
-            topCard.addEventListener('animationend', () => {
-                topCard.classList.remove('dealing');
-                container.prepend(topCard);
-                restackCards();
+    // ?album=<data-album>&photo=<1-based index> opens the lightbox
+    function restoreAlbumFromUrl() {
+        const album = getUrlState('album');
+        const deck = album && Array.from(decks).find(d => d.dataset.album === album);
+        if (!deck) {
+            if (closeActiveLightbox) closeActiveLightbox({ updateUrl: false });
+            return;
+        }
+        const photo = Math.max(0, (parseInt(getUrlState('photo'), 10) || 1) - 1);
+        openAlbumLightbox(deck, { startIndex: photo, updateUrl: false });
+    }
 
-                currentIndex = (currentIndex + 1) % cards.length;
-                currentEl.textContent = currentIndex + 1;
-            }, { once: true });
-        });
+    onUrlStateChange(restoreAlbumFromUrl);
+    restoreAlbumFromUrl();
 
-        // Double-click to open lightbox
-        deck.addEventListener('dblclick', () => {
-            openAlbumLightbox(deck);
-        });
+    scope.onDispose(() => {
+        if (closeActiveLightbox) closeActiveLightbox({ updateUrl: false, restoreFocus: false });
     });
 }
 
 // ============================================
 // ALBUM LIGHTBOX
 // ============================================
-function openAlbumLightbox(deck) {
+let closeActiveLightbox = null;
+
+// Matches .album-lightbox-stage (70vmin, at most 600px; 85vw on mobile)
+const LIGHTBOX_PHOTO_SIZES = '(max-width: 768px) 85vw, min(70vmin, 600px)';
+
+const FILMSTRIP_THUMB_SIZES = '56px';
+
+// What Tab can reach inside the dialog (disabled and hidden ones are filtered out)
+const FOCUSABLE = 'a[href], button, input, select, textarea, iframe, [tabindex]:not([tabindex="-1"])';
+
+// Card data attributes shown in the details panel, in order
+const PHOTO_DETAILS = [
+    ['date', 'Date'],
+    ['location', 'Location'],
+    ['camera', 'Camera'],
+    ['lens', 'Lens'],
+    ['settings', 'Settings']
+];
+
+// Thumbnails only need the smallest sized copy (the 400w one), and load lazily
+// so thumbs scrolled out of the strip wait until they're scrolled to
+function useSmallestPhoto(thumb) {
+    thumb.querySelectorAll('img, source').forEach(el => {
+        const srcset = el.dataset.srcset || el.getAttribute('srcset');
+        delete el.dataset.srcset;
+        if (!srcset) return;
+        const smallest = srcset.split(',')[0].trim();
+        el.setAttribute('srcset', smallest);
+        el.setAttribute('sizes', FILMSTRIP_THUMB_SIZES);
+        if (el.tagName === 'IMG') el.dataset.src = smallest.split(/\s+/)[0];
+    });
+    const img = thumb.querySelector('img');
+    img.alt = '';
+    img.loading = 'lazy';
+    loadCardPhoto(thumb);
+}
+
+function openAlbumLightbox(deck, { startIndex, updateUrl = true } = {}) {
     const lightbox = document.getElementById('album-lightbox');
     const stage = document.getElementById('album-lightbox-cards');
     const nameEl = document.getElementById('album-lightbox-name');
     const currentEl = document.getElementById('album-lightbox-current');
     const totalEl = document.getElementById('album-lightbox-total');
+    const captionEl = document.getElementById('album-lightbox-caption');
+    const statusEl = document.getElementById('album-lightbox-status');
+    const detailsEl = document.getElementById('album-lightbox-details');
+    const filmstrip = document.getElementById('album-lightbox-filmstrip');
+    const infoToggle = lightbox && lightbox.querySelector('.album-lightbox-info-toggle');
+    const playButton = lightbox && lightbox.querySelector('.album-lightbox-play');
     if (!lightbox || !stage) return;
 
+    const deckPile = deck.querySelector('.album-cards');
     const deckLabel = deck.querySelector('.album-deck-label');
     const originalCards = deck.querySelectorAll('.album-card');
     if (!originalCards.length) return;
 
+    // Reopening (e.g. from the URL) replaces whatever album is showing
+    if (closeActiveLightbox) closeActiveLightbox({ updateUrl: false, restoreFocus: false });
+    // Opening from the deck pushes a history entry; opening from the URL doesn't
+    const pushedEntry = updateUrl;
+
+    const total = originalCards.length;
     nameEl.textContent = deckLabel ? deckLabel.textContent : '';
 
-    // Clone cards into lightbox
+    // Clone cards into lightbox in viewing order (photo 0 on top = last child)
     stage.innerHTML = '';
-    originalCards.forEach(card => {
-        const clone = document.createElement('div');
-        clone.className = 'album-card';
-        clone.style.backgroundImage = card.style.backgroundImage;
-        stage.appendChild(clone);
-    });
+    Array.from(originalCards)
+        .sort((a, b) => b.dataset.photo - a.dataset.photo)
+        .forEach(card => {
+            // Caption and photo details (date, camera, ...) travel with the card
+            const clone = card.cloneNode(true);
+            clone.classList.remove('dealing', 'undealing');
+            // Bigger slot than the deck, so the browser picks a wider image
+            clone.querySelectorAll('img, source').forEach(el => el.setAttribute('sizes', LIGHTBOX_PHOTO_SIZES));
+            stage.appendChild(clone);
+        });
 
-    let currentIndex = 0;
-    totalEl.textContent = originalCards.length;
-    currentEl.textContent = 1;
+    // Start on the deck's current top card unless told otherwise
+    const startPhoto = startIndex === undefined
+        ? Number(deckPile.lastElementChild.dataset.photo) || 0
+        : Math.min(startIndex, total - 1);
+    for (let i = 0; i < startPhoto; i++) {
+        stage.prepend(stage.lastElementChild);
+    }
+    totalEl.textContent = total;
 
     const navbar = document.querySelector('.navbar');
-
-    // Click stage to shuffle
-    function handleStageShuffle(e) {
-        e.stopPropagation();
-        const container = stage;
-        if (container.children.length <= 1) return;
-
-        const topCard = container.lastElementChild;
-        topCard.classList.add('dealing');
-
-        topCard.addEventListener('animationend', () => {
-            topCard.classList.remove('dealing');
-            container.prepend(topCard);
-            // Clear inline styles
-            Array.from(container.children).forEach(c => {
-                c.classList.remove('dealing');
-                c.style.transform = '';
-                c.style.zIndex = '';
+    // Everything below is torn down with the viewer
+    const session = createScope();
+    const stack = createCardStack(stage, { signal: session.signal, onChange: afterStep });
+
+    // Filmstrip: a thumbnail button per photo, in viewing order, to jump straight to it
+    const thumbs = Array.from(originalCards)
+        .sort((a, b) => a.dataset.photo - b.dataset.photo)
+        .map((card, i) => {
+            const thumb = document.createElement('button');
+            thumb.className = 'album-filmstrip-thumb';
+            thumb.style.backgroundImage = card.style.backgroundImage;
+            thumb.setAttribute('aria-label', `Photo ${i + 1}`);
+            thumb.appendChild(card.firstElementChild.cloneNode(true));
+            useSmallestPhoto(thumb);
+            session.listen(thumb, 'click', (e) => {
+                e.stopPropagation();
+                stack.jumpTo(i);
             });
-            currentIndex = (currentIndex + 1) % originalCards.length;
-            currentEl.textContent = currentIndex + 1;
-        }, { once: true });
+            return thumb;
+        });
+    filmstrip.replaceChildren(...thumbs.map(thumb => {
+        const item = document.createElement('li');
+        item.appendChild(thumb);
+        return item;
+    }));
+
+    // Only the top card is exposed to screen readers; its caption is shown and
+    // the position announced through the live region
+    function showCurrent() {
+        const topCard = stage.lastElementChild;
+        const photo = stack.current();
+        Array.from(stage.children).forEach(card => {
+            card.setAttribute('aria-hidden', String(card !== topCard));
+        });
+        const caption = topCard.dataset.caption || '';
+        captionEl.textContent = caption;
+        captionEl.hidden = !caption;
+        currentEl.textContent = photo + 1;
+        statusEl.textContent = `Photo ${photo + 1} of ${total}${caption ? `: ${caption}` : ''}`;
+        showDetails(topCard);
+
+        thumbs.forEach((thumb, i) => {
+            if (i === photo) thumb.setAttribute('aria-current', 'true');
+            else thumb.removeAttribute('aria-current');
+        });
+        // Keep the current thumbnail in the middle of the strip
+        const thumb = thumbs[photo];
+        filmstrip.scrollLeft = thumb.offsetLeft - (filmstrip.clientWidth - thumb.offsetWidth) / 2;
+    }
+
+    // Photos without any details get neither the panel nor its toggle
+    function showDetails(card) {
+        const rows = PHOTO_DETAILS.filter(([key]) => card.dataset[key]);
+        detailsEl.replaceChildren(...rows.flatMap(([key, label]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = card.dataset[key];
+            return [dt, dd];
+        }));
+        if (!rows.length && document.activeElement === infoToggle) lightbox.focus();
+        infoToggle.hidden = !rows.length;
+        detailsEl.hidden = !detailsOpen || !rows.length;
+    }
+
+    // The details panel stays open while browsing until toggled off
+    let detailsOpen = false;
+
+    function toggleDetails(open = !detailsOpen) {
+        if (infoToggle.hidden) return;
+        detailsOpen = open;
+        detailsEl.hidden = !open;
+        infoToggle.setAttribute('aria-expanded', String(open));
+    }
+
+    function afterStep(photo) {
+        showCurrent();
+        setUrlState({ photo: photo + 1 }, { replace: true });
+        scheduleSlide();
     }
 
-    stage.addEventListener('click', handleStageShuffle);
+    // Slideshow: deals forward every CONFIG.ui.slideshowInterval ms, and any
+    // step restarts the wait. The live region goes quiet while it plays so
+    // screen readers aren't interrupted every few seconds.
+    let playing = false;
+    let slideTimer = null;
+    session.onDispose(() => clearTimeout(slideTimer));
+
+    function scheduleSlide() {
+        clearTimeout(slideTimer);
+        if (!playing) return;
+        slideTimer = setTimeout(() => {
+            // Mid-animation (a manual step): try again after another interval
+            if (!stack.step(1)) scheduleSlide();
+        }, CONFIG.ui.slideshowInterval);
+    }
+
+    function setPlaying(on) {
+        playing = on && total > 1;
+        playButton.setAttribute('aria-pressed', String(playing));
+        statusEl.setAttribute('aria-live', playing ? 'off' : 'polite');
+        scheduleSlide();
+    }
+
+    // Click stage to shuffle, unless the click ends a swipe
+    let touchStart = null;
+    let swiped = false;
+
+    session.listen(stage, 'click', (e) => {
+        e.stopPropagation();
+        if (swiped) {
+            swiped = false;
+            return;
+        }
+        stack.step(1);
+    });
+
+    session.listen(stage, 'touchstart', (e) => {
+        const touch = e.touches[0];
+        touchStart = { x: touch.clientX, y: touch.clientY };
+        swiped = false;
+    }, { passive: true });
+
+    session.listen(stage, 'touchend', (e) => {
+        if (!touchStart) return;
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - touchStart.x;
+        const dy = touch.clientY - touchStart.y;
+        touchStart = null;
+        if (Math.abs(dx) < CONFIG.ui.swipeThreshold || Math.abs(dx) < Math.abs(dy)) return;
+        swiped = true;
+        stack.step(dx < 0 ? 1 : -1);
+    });
 
-    // Close lightbox
-    function closeLightbox() {
+    // Close lightbox; focus goes back to the deck unless the page is going away
+    function closeLightbox({ updateUrl = true, restoreFocus = true } = {}) {
         lightbox.classList.remove('active');
         document.body.classList.remove('modal-open');
         if (navbar) navbar.classList.remove('hidden-up');
-        stage.removeEventListener('click', handleStageShuffle);
-        document.removeEventListener('keydown', handleKey);
+        session.dispose();
+        statusEl.textContent = '';
+        closeActiveLightbox = null;
+        // The deck picks up where the viewer left off
+        const deckStack = albumDeckStacks.get(deck);
+        if (deckStack) deckStack.jumpTo(stack.current());
+        // Undo the history entry this lightbox pushed, so Back doesn't reopen
+        // it; one restored from the URL just drops the album from its entry
+        if (updateUrl && pushedEntry) history.back();
+        else if (updateUrl) setUrlState({ album: null, photo: null }, { replace: true });
+        if (restoreFocus) deckPile.focus();
     }
 
-    function handleKey(e) {
-        if (e.key === 'Escape') closeLightbox();
+    // Keep Tab inside the dialog while it's open
+    function trapFocus(e) {
+        const focusable = Array.from(lightbox.querySelectorAll(FOCUSABLE))
+            .filter(el => !el.disabled && !el.closest('[hidden]'));
+        if (!focusable.length) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === lightbox)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
     }
 
-    const closeBtn = lightbox.querySelector('.album-lightbox-close');
-    closeBtn.onclick = (e) => { e.stopPropagation(); closeLightbox(); };
-    lightbox.onclick = (e) => { if (e.target === lightbox) closeLightbox(); };
-    document.addEventListener('keydown', handleKey);
+    session.listen(document, 'keydown', (e) => {
+        switch (e.key) {
+            case 'Escape':
+                closeLightbox();
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                stack.step(1);
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                stack.step(-1);
+                break;
+            case 'Home':
+                e.preventDefault();
+                stack.jumpTo(0);
+                break;
+            case 'End':
+                e.preventDefault();
+                stack.jumpTo(total - 1);
+                break;
+            case 'i':
+            case 'I':
+                if (!e.ctrlKey && !e.metaKey && !e.altKey) toggleDetails();
+                break;
+            case 'p':
+            case 'P':
+                if (!e.ctrlKey && !e.metaKey && !e.altKey) setPlaying(!playing);
+                break;
+            case 'Tab':
+                trapFocus(e);
+                break;
+        }
+    });
+
+    session.listen(lightbox.querySelector('.album-lightbox-close'), 'click', (e) => {
+        e.stopPropagation();
+        closeLightbox();
+    });
+    session.listen(lightbox.querySelector('.album-lightbox-prev'), 'click', (e) => {
+        e.stopPropagation();
+        stack.step(-1);
+    });
+    session.listen(lightbox.querySelector('.album-lightbox-next'), 'click', (e) => {
+        e.stopPropagation();
+        stack.step(1);
+    });
+    session.listen(playButton, 'click', (e) => {
+        e.stopPropagation();
+        setPlaying(!playing);
+    });
+    session.listen(infoToggle, 'click', (e) => {
+        e.stopPropagation();
+        toggleDetails();
+    });
+    session.listen(lightbox, 'click', (e) => {
+        if (e.target === lightbox) closeLightbox();
+    });
+    closeActiveLightbox = closeLightbox;
 
     // Open
+    detailsOpen = false;
+    infoToggle.setAttribute('aria-expanded', 'false');
+    setPlaying(false);
+    showCurrent();
     document.body.classList.add('modal-open');
     lightbox.classList.add('active');
+    lightbox.focus();
     if (navbar) navbar.classList.add('hidden-up');
+    if (updateUrl) setUrlState({ album: deck.dataset.album, photo: stack.current() + 1 });
+}
+
+// ============================================
+// MEDIA SOURCES (YouTube, Vimeo, self-hosted video)
+// ============================================
+// A video URL from the markup becomes a source: { provider, id | src, ... }.
+// Nothing third-party loads until the visitor presses play on the facade (a
+// poster with a play button) that stands in for the player. YouTube plays from
+// youtube-nocookie.com and Vimeo with dnt=1; files play in a <video> with
+// optional WebVTT captions.
+//
+// Once mounted, a player is driven through the same small interface:
+// play(), pause(), isPaused(), time() and seekBy(seconds). `onEnded` fires
+// when the video finishes, `onChange` on play/pause. Timers and listeners
+// belong to the page scope passed in, so navigating away tears them down.
+
+const VIDEO_FILE = /\.(mp4|webm|ogv|mov)$/i;
+const YOUTUBE_ID = /^[\w-]{11}$/;
+const IFRAME_ALLOW = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; fullscreen';
+
+// YouTube's embed speaks JSON over postMessage too (the protocol its IFrame API
+// script wraps). Driving it directly means nothing loads from www.youtube.com:
+// only the youtube-nocookie.com player that play was pressed for.
+const YT_ENDED = 0;
+const YT_PLAYING = 1;
+// Greeted every 250ms; a player that hasn't answered in 10s (blocked, offline) won't
+const YT_GREETING_ATTEMPTS = 40;
+
+function youTubePlayback(iframe, { onEnded, onChange }, scope) {
+    const origin = 'https://www.youtube-nocookie.com';
+    const send = message => {
+        if (iframe.contentWindow) {
+            iframe.contentWindow.postMessage(JSON.stringify({ ...message, channel: 'widget' }), origin);
+        }
+    };
+    const command = (func, ...args) => send({ event: 'command', func, args });
+    // The player reports its time every so often; in between it's counted on
+    let state = -1;
+    let seconds = 0;
+    let reportedAt = 0;
+    const time = () => seconds + (state === YT_PLAYING ? (performance.now() - reportedAt) / 1000 : 0);
+    const setTime = value => {
+        seconds = value;
+        reportedAt = performance.now();
+    };
+    const setState = next => {
+        if (next === state) return;
+        setTime(time());
+        state = next;
+        if (state === YT_ENDED) onEnded();
+        else onChange();
+    };
+
+    return new Promise(resolve => {
+        const listener = new AbortController();
+        scope.onDispose(() => listener.abort());
+        // It only starts talking once told that someone is listening
+        let attempts = 0;
+        const greeting = scope.setInterval(() => {
+            if (iframe.isConnected && ++attempts <= YT_GREETING_ATTEMPTS) {
+                send({ event: 'listening' });
+                return;
+            }
+            clearInterval(greeting);
+            listener.abort();
+            resolve(null);
+        }, 250);
+
+        window.addEventListener('message', e => {
+            if (e.origin !== origin || e.source !== iframe.contentWindow) return;
+            if (!iframe.isConnected) {
+                listener.abort();
+                return;
+            }
+            let message;
+            try {
+                message = typeof e.data === 'string' ? JSON.parse(e.data) : e.data;
+            } catch (error) {
+                return;
+            }
+
+            switch (message.event) {
+                case 'onReady':
+                    clearInterval(greeting);
+                    command('addEventListener', 'onStateChange');
+                    resolve({
+                        play: () => command('playVideo'),
+                        pause: () => command('pauseVideo'),
+                        isPaused: () => state !== YT_PLAYING,
+                        time,
+                        seekBy: delta => {
+                            setTime(Math.max(0, time() + delta));
+                            command('seekTo', seconds, true);
+                        }
+                    });
+                    break;
+                case 'initialDelivery':
+                case 'infoDelivery': {
+                    const info = message.info || {};
+                    if (Number.isFinite(info.currentTime)) setTime(info.currentTime);
+                    if (Number.isInteger(info.playerState)) setState(info.playerState);
+                    break;
+                }
+                case 'onStateChange':
+                    setState(message.info);
+                    break;
+            }
+        }, { signal: listener.signal });
+    });
+}
+
+// Vimeo's player speaks JSON over postMessage, so no SDK script is needed
+function vimeoPlayback(iframe, { onEnded, onChange }) {
+    const origin = 'https://player.vimeo.com';
+    const send = (method, value) => {
+        if (iframe.contentWindow) iframe.contentWindow.postMessage(JSON.stringify({ method, value }), origin);
+    };
+    let seconds = 0;
+    let duration = 0;
+    let paused = true;
+
+    return new Promise(resolve => {
+        const listener = new AbortController();
+        window.addEventListener('message', e => {
+            if (e.origin !== origin || e.source !== iframe.contentWindow) return;
+            if (!iframe.isConnected) {
+                listener.abort();
+                return;
+            }
+            let message;
+            try {
+                message = typeof e.data === 'string' ? JSON.parse(e.data) : e.data;
+            } catch (error) {
+                return;
+            }
+
+            switch (message.event) {
+                case 'ready':
+                    ['play', 'pause', 'ended', 'timeupdate'].forEach(name => send('addEventListener', name));
+                    resolve({
+                        play: () => send('play'),
+                        pause: () => send('pause'),
+                        isPaused: () => paused,
+                        time: () => seconds,
+                        seekBy: delta => send('setCurrentTime', Math.min(Math.max(0, seconds + delta), duration || Infinity))
+                    });
+                    break;
+                case 'timeupdate':
+                    ({ seconds, duration } = message.data);
+                    break;
+                case 'play':
+                case 'pause':
+                    paused = message.event === 'pause';
+                    onChange();
+                    break;
+                case 'ended':
+                case 'finish':
+                    paused = true;
+                    onEnded();
+                    break;
+            }
+        }, { signal: listener.signal });
+    });
+}
+
+function videoPlayback(video, { onEnded, onChange }) {
+    video.addEventListener('ended', onEnded);
+    video.addEventListener('play', onChange);
+    video.addEventListener('pause', onChange);
+    return {
+        // Autoplay can be refused; the play button is still there
+        play: () => video.play().catch(() => {}),
+        pause: () => video.pause(),
+        isPaused: () => video.paused,
+        time: () => video.currentTime,
+        seekBy: seconds => {
+            video.currentTime = Math.min(Math.max(0, video.currentTime + seconds), video.duration || 0);
+        }
+    };
+}
+
+function embedFrame(src, title) {
+    const iframe = document.createElement('iframe');
+    iframe.src = src;
+    iframe.title = title;
+    iframe.allow = IFRAME_ALLOW;
+    iframe.allowFullscreen = true;
+    return iframe;
+}
+
+// Per provider: who the facade says the video plays from (null for our own
+// files), the element that plays it (always autoplaying: it only exists once
+// play was pressed) and how to drive it
+const MEDIA_PROVIDERS = {
+    youtube: {
+        host: 'YouTube',
+        create: (source, { title }) => {
+            const src = new URL(`https://www.youtube-nocookie.com/embed/${source.id}`);
+            src.searchParams.set('autoplay', '1');
+            src.searchParams.set('rel', '0');
+            src.searchParams.set('enablejsapi', '1');
+            src.searchParams.set('origin', location.origin);
+            return embedFrame(src.href, title);
+        },
+        connect: (iframe, events, scope) => youTubePlayback(iframe, events, scope)
+    },
+    vimeo: {
+        host: 'Vimeo',
+        create: (source, { title }) => {
+            const src = new URL(`https://player.vimeo.com/video/${source.id}`);
+            if (source.hash) src.searchParams.set('h', source.hash);
+            src.searchParams.set('autoplay', '1');
+            src.searchParams.set('dnt', '1');
+            return embedFrame(src.href, title);
+        },
+        connect: (iframe, events) => vimeoPlayback(iframe, events)
+    },
+    file: {
+        host: null,
+        create: (source, { title, controls }) => {
+            const video = document.createElement('video');
+            video.src = source.src;
+            video.autoplay = true;
+            video.controls = controls;
+            video.playsInline = true;
+            video.preload = 'metadata';
+            video.setAttribute('aria-label', title);
+            if (source.poster) video.poster = source.poster;
+            if (source.captions) {
+                const track = document.createElement('track');
+                track.kind = 'captions';
+                track.src = source.captions;
+                track.srclang = source.captionsLang;
+                track.label = 'Captions';
+                track.default = true;
+                video.appendChild(track);
+            }
+            return video;
+        },
+        connect: (video, events) => Promise.resolve(videoPlayback(video, events))
+    }
+};
+
+// Accepts watch, share and embed URLs (youtube.com, youtu.be, youtube-nocookie.com,
+// vimeo.com, player.vimeo.com) and .mp4/.webm/.ogv/.mov files. Null if unsupported,
+// including YouTube playlists and anything without a valid video id.
+function parseMediaSource(href, { poster = '', captions = '', captionsLang = 'en' } = {}) {
+    if (!href) return null;
+    let url;
+    try {
+        url = new URL(href, window.location.href);
+    } catch (error) {
+        return null;
+    }
+    const host = url.hostname.replace(/^(www|m)\./, '');
+
+    if (host === 'youtu.be' || host === 'youtube.com' || host === 'youtube-nocookie.com') {
+        const id = host === 'youtu.be'
+            ? url.pathname.split('/')[1]
+            : url.searchParams.get('v') || (url.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/) || [])[1];
+        // "videoseries" (a playlist embed) happens to be 11 characters too
+        return YOUTUBE_ID.test(id) && id !== 'videoseries' ? { provider: 'youtube', id, poster } : null;
+    }
+    if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+        // Unlisted videos carry a hash: vimeo.com/<id>/<hash> or ?h=<hash>
+        const match = url.pathname.match(/^\/(?:video\/)?(\d+)(?:\/([\da-f]+))?/);
+        return match ? { provider: 'vimeo', id: match[1], hash: match[2] || url.searchParams.get('h') || '', poster } : null;
+    }
+    if (VIDEO_FILE.test(url.pathname)) {
+        return { provider: 'file', src: url.href, poster, captions, captionsLang };
+    }
+    return null;
+}
+
+// The player itself; `controls` is for <video> (embeds bring their own)
+function createMediaElement(source, { title = 'Video', controls = true } = {}) {
+    return MEDIA_PROVIDERS[source.provider].create(source, { title, controls });
+}
+
+// Resolves with the play/pause/seek interface, or null if it can't be had
+function connectMedia(source, element, events, scope) {
+    return MEDIA_PROVIDERS[source.provider].connect(element, events, scope);
+}
+
+// Poster and play button in place of the player; `onPlay` mounts the real one.
+// `failed` is for a player that never answered: same poster, offering a retry.
+function createMediaFacade(source, { title = 'Video', onPlay, failed = false }) {
+    const { host } = MEDIA_PROVIDERS[source.provider];
+    const facade = document.createElement('button');
+    facade.type = 'button';
+    facade.className = failed ? 'media-facade media-facade-failed' : 'media-facade';
+    const label = failed ? `${title} didn't load. Try again` : `Play ${title}`;
+    facade.setAttribute('aria-label', host ? `${label} (loads ${host})` : label);
+    if (source.poster) facade.style.backgroundImage = `url("${encodeURI(source.poster)}")`;
+    const note = failed ? `${host || 'The video'} didn't respond. Try again` : host && `Plays from ${host}`;
+    facade.innerHTML = `
+        <span class="media-facade-play" aria-hidden="true">
+            <svg width="28" height="28" viewBox="0 0 24 24" fill="currentColor"><polygon points="7 4 20 12 7 20 7 4"/></svg>
+        </span>
+        ${note ? `<span class="media-facade-note" aria-hidden="true">${note}</span>` : ''}`;
+    facade.addEventListener('click', onPlay, { once: true });
+    return facade;
 }
 
 // ============================================
 // VHS SHELF (Videography)
 // ============================================
-function initializeVHSShelf() {
+// Tape counter, e.g. 0:03:07
+function formatTapeTime(seconds) {
+    const total = Math.floor(seconds);
+    const pad = n => String(n).padStart(2, '0');
+    return `${Math.floor(total / 3600)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+function initializeVHSShelf(scope) {
     const tapes = document.querySelectorAll('.vhs-tape');
     const player = document.getElementById('vhs-player');
     const videoContainer = document.getElementById('vhs-video-container');
     const ejectBtn = document.getElementById('vhs-eject-btn');
     const nowTitle = document.getElementById('vhs-now-title');
+    const queueList = document.getElementById('vhs-queue-list');
+    const queueEmpty = document.getElementById('vhs-queue-empty');
+    const shuffleBtn = document.getElementById('vhs-shuffle-btn');
+    const repeatBtn = document.getElementById('vhs-repeat-btn');
+    const counterEl = document.getElementById('vhs-counter');
+    const playBtn = document.getElementById('vhs-play-btn');
+    const transportBtns = document.querySelectorAll('.vhs-transport-btn');
     if (!tapes.length || !player) return;
 
     let currentTape = null;
-
-    function insertTape(tape) {
+    let loadTimer = null;
+    let seekTimer = null;
+    // Transport for the loaded video; null until its player is ready
+    let playback = null;
+    // Poster standing in for the player until play is pressed
+    let facade = null;
+    // Tapes waiting to play, in order; shuffle picks from anywhere in it
+    let queue = [];
+    let shuffle = false;
+    let repeat = 'off';
+
+    const tapeTitle = tape => tape.querySelector('.vhs-sticker-title')?.textContent || '—';
+
+    function insertTape(tape, { updateUrl = true } = {}) {
         // If same tape clicked, eject
         if (currentTape === tape) {
             ejectTape(true);
             return;
         }
+        playTape(tape, { updateUrl });
+    }
 
+    // Insert animation, then the video. Also used to replay the current tape.
+    function playTape(tape, { updateUrl = true, autoplay = false } = {}) {
         // Eject any current tape first
         if (currentTape) {
             currentTape.classList.remove('inserted');
@@ -875,55 +2447,252 @@ function initializeVHSShelf() {
 
         currentTape = tape;
         tape.classList.add('inserted');
+        queue = queue.filter(t => t !== tape);
+        renderQueue();
+        // A tape that follows on from the queue replaces the history entry
+        if (updateUrl) setUrlState({ tape: tape.dataset.tape }, { replace: autoplay });
 
         // Show player with loading state
+        videoContainer.innerHTML = '';
+        facade = null;
+        setPlayback(null);
         player.classList.remove('active');
         // Force reflow for re-triggering animation
         void player.offsetWidth;
         player.classList.add('loading', 'active');
 
-        const title = tape.querySelector('.vhs-sticker-title')?.textContent || '—';
-        nowTitle.textContent = title;
+        nowTitle.textContent = tapeTitle(tape);
 
         // Simulate tracking/static, then load video
-        setTimeout(() => {
+        clearTimeout(loadTimer);
+        loadTimer = scope.setTimeout(() => {
             player.classList.remove('loading');
-            const videoSrc = tape.dataset.video;
-            if (videoSrc) {
-                videoContainer.innerHTML = `
-                    <iframe src="${videoSrc}" frameborder="0"
-                        allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-                        allowfullscreen loading="lazy"></iframe>`;
-            }
+            loadVideo(tape, autoplay);
         }, 1200);
     }
 
-    function ejectTape(animate = true) {
+    // A freshly inserted tape shows its poster until play is pressed; tapes
+    // that follow on from the queue start straight away
+    function loadVideo(tape, autoplay) {
+        const source = parseMediaSource(tape.dataset.video, {
+            poster: tape.dataset.poster,
+            captions: tape.dataset.captions,
+            captionsLang: tape.dataset.captionsLang
+        });
+        if (!source) return;
+
+        if (autoplay) {
+            mountVideo(source, tape);
+            return;
+        }
+        facade = createMediaFacade(source, {
+            title: tapeTitle(tape),
+            onPlay: () => mountVideo(source, tape)
+        });
+        videoContainer.replaceChildren(facade);
+        setPlayback(null);
+    }
+
+    function mountVideo(source, tape) {
+        const title = tapeTitle(tape);
+        const media = createMediaElement(source, { title, controls: false });
+        facade = null;
+        videoContainer.replaceChildren(media);
+        setPlayback(null);
+        if (media.tagName === 'VIDEO') media.addEventListener('click', togglePlay);
+
+        connectMedia(source, media, {
+            onEnded: () => {
+                syncTransport();
+                if (media.isConnected) tapeEnded();
+            },
+            onChange: () => syncTransport()
+        }, scope).then(ready => {
+            // Ejected or swapped while it was loading
+            if (!media.isConnected) return;
+            if (ready) {
+                setPlayback(ready);
+                return;
+            }
+            facade = createMediaFacade(source, { title, failed: true, onPlay: () => mountVideo(source, tape) });
+            videoContainer.replaceChildren(facade);
+            setPlayback(null);
+        });
+    }
+
+    // ── Transport ──
+    // Play also works on the facade; seeking needs a loaded player
+    function setPlayback(next) {
+        playback = next;
+        transportBtns.forEach(button => {
+            button.disabled = !playback && !(facade && button === playBtn);
+        });
+        syncTransport();
+    }
+
+    // Play/pause button state and the tape counter
+    function syncTransport() {
+        const paused = !playback || playback.isPaused();
+        playBtn.setAttribute('aria-label', paused ? 'Play' : 'Pause');
+        playBtn.classList.toggle('playing', !paused);
+        counterEl.textContent = formatTapeTime(playback ? playback.time() : 0);
+    }
+
+    function togglePlay() {
+        if (!playback) {
+            if (facade) facade.click();
+            return;
+        }
+        if (playback.isPaused()) playback.play();
+        else playback.pause();
+    }
+
+    // Rewind/fast-forward roll the tracking lines and static like a real deck
+    function seek(seconds) {
+        if (!playback) return;
+        playback.seekBy(seconds);
+        player.classList.add('seeking');
+        clearTimeout(seekTimer);
+        seekTimer = scope.setTimeout(() => player.classList.remove('seeking'), CONFIG.ui.vhsTrackingMs);
+        syncTransport();
+    }
+
+    function ejectTape(animate = true, { updateUrl = true } = {}) {
         if (!currentTape) return;
 
         // Kill iframe
+        clearTimeout(loadTimer);
         videoContainer.innerHTML = '';
+        facade = null;
+        setPlayback(null);
         nowTitle.textContent = '—';
+        if (updateUrl) setUrlState({ tape: null });
 
         if (animate) {
             player.classList.add('loading');
-            setTimeout(() => {
+            scope.setTimeout(() => {
                 player.classList.remove('active', 'loading');
                 currentTape.classList.remove('inserted');
                 currentTape = null;
             }, 400);
         } else {
-            player.classList.remove('active', 'loading');
-            currentTape.classList.remove('inserted');
-            currentTape = null;
+            player.classList.remove('active', 'loading');
+            currentTape.classList.remove('inserted');
+            currentTape = null;
+        }
+    }
+
+    // ── Queue ──
+    // Moving on from the current tape; with repeat all it goes back on the
+    // end of the queue so the whole list keeps cycling
+    function advanceTo(tape) {
+        if (repeat === 'all' && currentTape && currentTape !== tape) queue.push(currentTape);
+        playTape(tape, { autoplay: true });
+    }
+
+    function tapeEnded() {
+        if (repeat === 'one' || (repeat === 'all' && !queue.length)) {
+            playTape(currentTape, { updateUrl: false, autoplay: true });
+        } else if (queue.length) {
+            advanceTo(queue[shuffle ? Math.floor(Math.random() * queue.length) : 0]);
+        }
+    }
+
+    // Nothing playing: the tape goes straight in. Already queued: it comes out.
+    function toggleQueued(tape) {
+        if (queue.includes(tape)) {
+            queue = queue.filter(t => t !== tape);
+        } else if (!currentTape) {
+            playTape(tape);
+            return;
+        } else {
+            queue.push(tape);
         }
+        renderQueue();
+    }
+
+    function renderQueue() {
+        queueList.replaceChildren(...queue.map(tape => {
+            const item = document.createElement('li');
+            item.className = 'vhs-queue-item';
+
+            const play = document.createElement('button');
+            play.className = 'vhs-queue-play';
+            play.textContent = tapeTitle(tape);
+            play.title = 'Play now';
+            play.addEventListener('click', () => advanceTo(tape));
+
+            const remove = document.createElement('button');
+            remove.className = 'vhs-queue-remove';
+            remove.setAttribute('aria-label', `Remove ${tapeTitle(tape)} from the queue`);
+            remove.textContent = '×';
+            remove.addEventListener('click', () => toggleQueued(tape));
+
+            item.append(play, remove);
+            return item;
+        }));
+        queueEmpty.hidden = queue.length > 0;
+
+        tapes.forEach(tape => {
+            const queued = queue.includes(tape);
+            tape.classList.toggle('queued', queued);
+            const button = tape.querySelector('.vhs-queue-btn');
+            if (button) {
+                button.setAttribute('aria-label', `${queued ? 'Remove' : 'Add'} ${tapeTitle(tape)} ${queued ? 'from' : 'to'} the queue`);
+            }
+        });
     }
 
     tapes.forEach(tape => {
         tape.addEventListener('click', () => insertTape(tape));
+        const queueBtn = tape.querySelector('.vhs-queue-btn');
+        if (queueBtn) {
+            queueBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleQueued(tape);
+            });
+        }
     });
 
     ejectBtn.addEventListener('click', () => ejectTape(true));
+
+    transportBtns.forEach(button => {
+        button.addEventListener('click', () => {
+            const { action } = button.dataset;
+            if (action === 'play') togglePlay();
+            else seek(action === 'rewind' ? -CONFIG.ui.vhsSeekSeconds : CONFIG.ui.vhsSeekSeconds);
+        });
+    });
+
+    // The YouTube player has no time events, so the counter polls
+    scope.setInterval(() => {
+        if (playback) syncTransport();
+    }, 500);
+
+    shuffleBtn.addEventListener('click', () => {
+        shuffle = !shuffle;
+        shuffleBtn.setAttribute('aria-pressed', String(shuffle));
+    });
+
+    repeatBtn.addEventListener('click', () => {
+        repeat = REPEAT_MODES[(REPEAT_MODES.indexOf(repeat) + 1) % REPEAT_MODES.length];
+        repeatBtn.dataset.repeat = repeat;
+        repeatBtn.textContent = `Repeat: ${repeat}`;
+    });
+
+    renderQueue();
+    setPlayback(null);
+
+    // ?tape=<data-tape> inserts that tape
+    function restoreTapeFromUrl() {
+        const slug = getUrlState('tape');
+        const tape = slug && Array.from(tapes).find(t => t.dataset.tape === slug);
+        if (tape && tape !== currentTape) insertTape(tape, { updateUrl: false });
+        else if (!tape && currentTape) ejectTape(false, { updateUrl: false });
+    }
+
+    onUrlStateChange(restoreTapeFromUrl);
+    restoreTapeFromUrl();
 }
 
 // ============================================
@@ -931,7 +2700,7 @@ function initializeVHSShelf() {
 // ============================================
 function initializeTimelineAnimation() {
     const timelineWrapper = document.querySelector('.timeline-wrapper');
-    if (!timelineWrapper || timelineWrapper.dataset.animated) return;
+    if (!timelineWrapper) return;
 
     const timelineItems = timelineWrapper.querySelectorAll('.timeline-item');
     
@@ -949,8 +2718,7 @@ function initializeTimelineAnimation() {
         clone.classList.add((timelineItems.length + i) % 2 === 0 ? 'top' : 'bottom');
         timelineWrapper.appendChild(clone);
     });
-    
-    timelineWrapper.dataset.animated = 'true';
+
 
     // Pause on interaction
     const pauseAnimation = () => { timelineWrapper.style.animationPlayState = 'paused'; };
@@ -1004,19 +2772,14 @@ function initializeAccordion() {
 // ============================================
 // BIO PUZZLE GAME  (Google Gravity style)
 // ============================================
-function initializePuzzleGame() {
+function initializePuzzleGame(scope) {
     const grid = document.getElementById('bio-puzzle-grid');
     const btn  = document.getElementById('puzzle-toggle-btn');
     if (!grid || !btn) return;
 
+    // The button lives in the navbar and is only shown on the bio page
     btn.classList.add('visible');
 
-    // Clean up any previous initialization (stale closure from SPA navigation)
-    if (btn._puzzleClickHandler) {
-        btn.removeEventListener('click', btn._puzzleClickHandler);
-        btn._puzzleClickHandler = null;
-    }
-
     let puzzleActive = false;
     let pieces       = [];
     let ghosts       = [];
@@ -1153,7 +2916,7 @@ function initializePuzzleGame() {
         });
 
         // Phase 2: gravity drop after shrink completes
-        setTimeout(() => {
+        scope.setTimeout(() => {
             pieces.forEach(p => {
                 p.tile.classList.remove('puzzle-tile-spawning');
                 p.vx = (Math.random() - 0.5) * 6;
@@ -1176,7 +2939,7 @@ function initializePuzzleGame() {
             const max = getMaxScroll();
             if (window.scrollY > max) window.scrollTo(0, max);
         };
-        window.addEventListener('scroll', scrollHandler);
+        scope.listen(window, 'scroll', scrollHandler);
     }
 
     /* ---- physics loop ---- */
@@ -1257,10 +3020,10 @@ function initializePuzzleGame() {
             }
         }
 
-        document.addEventListener('mousemove', onMove);
-        document.addEventListener('mouseup',   onUp);
-        document.addEventListener('touchmove', onMove, { passive: false });
-        document.addEventListener('touchend',  onUp);
+        scope.listen(document, 'mousemove', onMove);
+        scope.listen(document, 'mouseup',   onUp);
+        scope.listen(document, 'touchmove', onMove, { passive: false });
+        scope.listen(document, 'touchend',  onUp);
     }
 
     /* ---- snap a single piece into its ghost ---- */
@@ -1286,12 +3049,12 @@ function initializePuzzleGame() {
         piece.tile.style.borderRadius = 'var(--radius-md)';
 
         // After animation: remove label, seat original tile on ghost
-        setTimeout(() => {
+        scope.setTimeout(() => {
             piece.tile.remove();
             seatTileOnGhost(piece);
         }, 500);
 
-        if (pieces.every(p => p.placed)) setTimeout(puzzleComplete, 650);
+        if (pieces.every(p => p.placed)) scope.setTimeout(puzzleComplete, 650);
     }
 
     /* ---- Thor's hammer: all unplaced tiles fly home ---- */
@@ -1312,7 +3075,7 @@ function initializePuzzleGame() {
 
         // Stagger the return slightly for a dramatic magnet effect
         unplaced.forEach((p, idx) => {
-            setTimeout(() => {
+            scope.setTimeout(() => {
                 const gr = p.ghostEl.getBoundingClientRect();
                 p.tile.classList.add('puzzle-tile-returning');
                 p.tile.style.left        = gr.left   + 'px';
@@ -1322,7 +3085,7 @@ function initializePuzzleGame() {
                 p.tile.style.opacity     = '0';
                 p.tile.style.borderRadius = 'var(--radius-md)';
 
-                setTimeout(() => {
+                scope.setTimeout(() => {
                     p.tile.remove();
                     seatTileOnGhost(p);
                 }, 500);
@@ -1331,7 +3094,7 @@ function initializePuzzleGame() {
 
         // After all tiles land, clean up fully
         const totalDelay = unplaced.length * 80 + 600;
-        setTimeout(puzzleComplete, totalDelay);
+        scope.setTimeout(puzzleComplete, totalDelay);
     }
 
     /* ---- final cleanup: restore normal grid ---- */
@@ -1379,15 +3142,16 @@ function initializePuzzleGame() {
         if (btnText) btnText.textContent = 'Puzzle Mode';
     }
 
-    window._puzzleCleanup = cleanupPuzzleForNav;
-
     function handlePuzzleClick() {
         if (puzzleActive) finishPuzzle();
         else              scatterPuzzle();
     }
 
-    btn._puzzleClickHandler = handlePuzzleClick;
-    btn.addEventListener('click', handlePuzzleClick);
+    scope.listen(btn, 'click', handlePuzzleClick);
+    scope.onDispose(() => {
+        cleanupPuzzleForNav();
+        btn.classList.remove('visible');
+    });
 }
 
 // ============================================
@@ -1399,31 +3163,434 @@ function initializeInterestsPage() {
 
     const interestCards = interestsMenu.querySelectorAll('.interest-card:not(.disabled)');
     const backButton = document.querySelector('.back-to-menu');
-    
-    interestCards.forEach(card => {
-        card.addEventListener('click', () => {
-            const targetId = card.dataset.target;
-            const targetSection = document.getElementById(targetId);
+
+    // ?section=<id without "-section">, e.g. ?section=film-tv
+    function showSection(targetId) {
+        const targetSection = targetId && document.getElementById(targetId);
+        const activeSection = document.querySelector('.main-content section:not(.hidden):not(#interests-menu), .main-content-full-width section:not(.hidden):not(#interests-menu)');
+        if (activeSection === targetSection && (targetSection || !interestsMenu.classList.contains('hidden'))) return;
+
+        withViewTransition(() => {
+            if (activeSection && activeSection !== targetSection) activeSection.classList.add('hidden');
+
             if (targetSection) {
                 interestsMenu.classList.add('hidden');
                 targetSection.classList.remove('hidden');
+            } else {
+                interestsMenu.classList.remove('hidden');
             }
+        }, { 'section-title': findSectionTitle });
+    }
+
+    const getSectionFromUrl = () => {
+        const section = getUrlState('section');
+        return section ? `${section}-section` : null;
+    };
+
+    interestCards.forEach(card => {
+        card.addEventListener('click', () => {
+            const targetId = card.dataset.target;
+            showSection(targetId);
+            setUrlState({ section: targetId.replace(/-section$/, '') });
         });
     });
 
     if (backButton) {
         backButton.addEventListener('click', () => {
-            const activeSection = document.querySelector('.main-content section:not(.hidden), .main-content-full-width section:not(.hidden)');
-            if (activeSection) activeSection.classList.add('hidden');
-            interestsMenu.classList.remove('hidden');
+            showSection(null);
+            // Leaving the section drops its filters too
+            updateHistory(window.location.pathname);
+        });
+    }
+
+    onUrlStateChange(() => showSection(getSectionFromUrl()));
+    if (getSectionFromUrl()) showSection(getSectionFromUrl());
+}
+
+// ============================================
+// REVIEW DATA (Letterboxd export, built by src/_data/reviews.js)
+// ============================================
+let reviewsPromise = null;
+
+function loadReviews() {
+    if (reviewsPromise) return reviewsPromise;
+
+    reviewsPromise = fetch(CONFIG.reviews.dataUrl)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status} loading reviews`);
+            return response.json();
+        })
+        .catch(error => {
+            reviewsPromise = null;   // allow a retry on the next request
+            throw error;
+        });
+
+    return reviewsPromise;
+}
+
+// Stars and their label come formatted in reviews.json (see _config/ratings.js)
+function createReviewRating(review) {
+    const stars = document.createElement('span');
+    stars.className = 'review-rating';
+    stars.textContent = review.stars;
+    stars.setAttribute('aria-label', review.ratingLabel);
+    return stars;
+}
+
+// Review text is cleaned at build time: one paragraph per line
+function appendReviewParagraphs(container, text) {
+    text.split('\n').filter(Boolean).forEach(paragraph => {
+        const p = document.createElement('p');
+        p.textContent = paragraph;
+        container.appendChild(p);
+    });
+}
+
+// ============================================
+// FILM & TV ROULETTE
+// ============================================
+function initializeFilmRoulette(scope) {
+    const spinButton = document.getElementById('spin-button');
+    const card = document.getElementById('review-card');
+    if (!spinButton || !card) return;
+
+    let pool = [];
+    let lastPick = null;
+    let spinning = false;
+
+    // Fisher–Yates shuffle into a fresh pool; no repeats until it runs dry
+    function refillPool(reviews) {
+        pool = reviews.slice();
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        // Don't open a new cycle with the review we just showed
+        if (pool.length > 1 && pool[pool.length - 1] === lastPick) {
+            [pool[0], pool[pool.length - 1]] = [pool[pool.length - 1], pool[0]];
+        }
+    }
+
+    function renderReview(review, { reshuffled = false } = {}) {
+        card.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.className = 'review-title';
+        const titleLink = document.createElement('a');
+        titleLink.href = `/reviews/${review.slug}.html`;
+        titleLink.textContent = review.year ? `${review.title} (${review.year})` : review.title;
+        title.appendChild(titleLink);
+
+        const meta = document.createElement('div');
+        meta.className = 'review-meta';
+        meta.appendChild(createReviewRating(review));
+        if (review.watched) {
+            const watched = document.createElement('span');
+            watched.textContent = `Watched ${review.watched}${review.rewatch ? ' · rewatch' : ''}`;
+            meta.appendChild(watched);
+        }
+
+        const body = document.createElement('div');
+        body.className = 'review-body';
+        appendReviewParagraphs(body, review.review);
+
+        card.append(title, meta, body);
+
+        if (review.url) {
+            const link = document.createElement('a');
+            link.className = 'card-link';
+            link.href = review.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = 'Read on Letterboxd →';
+            card.appendChild(link);
+        }
+
+        if (reshuffled) {
+            const note = document.createElement('p');
+            note.className = 'review-note';
+            note.textContent = "You've seen every review, so the reel has been reshuffled.";
+            card.appendChild(note);
+        }
+    }
+
+    function renderMessage(text) {
+        card.innerHTML = '';
+        const p = document.createElement('p');
+        p.textContent = text;
+        card.appendChild(p);
+    }
+
+    // Flick through random titles, then land on the next review in the pool
+    function spin(reviews) {
+        let reshuffled = false;
+        if (!pool.length) {
+            reshuffled = lastPick !== null;
+            refillPool(reviews);
+        }
+        const pick = pool.pop();
+
+        spinning = true;
+        spinButton.disabled = true;
+        card.classList.add('spinning');
+
+        const { spinDuration, spinTick } = CONFIG.roulette;
+        const ticker = scope.setInterval(() => {
+            const random = reviews[Math.floor(Math.random() * reviews.length)];
+            renderMessage(random.title);
+        }, spinTick);
+
+        scope.setTimeout(() => {
+            clearInterval(ticker);
+            card.classList.remove('spinning');
+            renderReview(pick, { reshuffled });
+            lastPick = pick;
+            spinning = false;
+            spinButton.disabled = false;
+        }, spinDuration);
+    }
+
+    spinButton.addEventListener('click', () => {
+        if (spinning) return;
+        spinButton.disabled = true;
+
+        loadReviews()
+            .then(reviews => {
+                if (!reviews.length) {
+                    renderMessage('No reviews to show yet.');
+                    spinButton.disabled = false;
+                    return;
+                }
+                spin(reviews);
+            })
+            .catch(error => {
+                console.error('Error loading reviews:', error);
+                renderMessage("Couldn't load the reviews right now. Try spinning again.");
+                spinButton.disabled = false;
+            });
+    });
+}
+
+// ============================================
+// REVIEW BROWSER (searchable archive)
+// ============================================
+function initializeReviewBrowser(scope) {
+    const form = document.getElementById('review-filters');
+    const list = document.getElementById('review-list');
+    const countEl = document.getElementById('review-results-count');
+    const pagination = document.getElementById('review-pagination');
+    if (!form || !list) return;
+
+    // Form field name -> URL query key (all filter state lives in the URL)
+    const FIELDS = ['q', 'rating', 'watched', 'decade', 'tag', 'sort'];
+    const DEFAULT_SORT = 'recent';
+
+    const SORTS = {
+        'recent': (a, b) => b.watched.localeCompare(a.watched),
+        'oldest': (a, b) => a.watched.localeCompare(b.watched),
+        'rating-desc': (a, b) => (b.rating ?? -1) - (a.rating ?? -1),
+        'rating-asc': (a, b) => (a.rating ?? 6) - (b.rating ?? 6),
+        'title': (a, b) => a.title.localeCompare(b.title),
+        'released': (a, b) => (b.year || 0) - (a.year || 0),
+    };
+
+    let reviews = [];
+    let page = 1;
+
+    const decadeOf = review => review.year ? Math.floor(review.year / 10) * 10 : null;
+
+    function fillSelect(name, values, label) {
+        const select = form.elements[name];
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label(value);
+            select.appendChild(option);
+        });
+    }
+
+    function populateOptions() {
+        const unique = values => Array.from(new Set(values.filter(v => v !== null && v !== '')));
+        fillSelect('watched', unique(reviews.map(r => r.watched.slice(0, 4))).sort().reverse(), y => y);
+        fillSelect('decade', unique(reviews.map(decadeOf)).sort((a, b) => b - a), d => `${d}s`);
+        fillSelect('tag', unique(reviews.flatMap(r => r.tags)).sort(), t => t);
+    }
+
+    function readStateFromUrl() {
+        FIELDS.forEach(name => {
+            form.elements[name].value = getUrlState(name) || (name === 'sort' ? DEFAULT_SORT : '');
+        });
+        page = Math.max(1, parseInt(getUrlState('page'), 10) || 1);
+    }
+
+    function writeStateToUrl(options) {
+        const changes = {};
+        FIELDS.forEach(name => {
+            const value = form.elements[name].value.trim();
+            changes[name] = name === 'sort' && value === DEFAULT_SORT ? null : value;
+        });
+        changes.page = page > 1 ? page : null;
+        setUrlState(changes, options);
+    }
+
+    function getFilteredReviews() {
+        const { q, rating, watched, decade, tag, sort } = form.elements;
+        const terms = q.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const minRating = parseFloat(rating.value);
+
+        return reviews
+            .filter(r => {
+                if (terms.length) {
+                    const haystack = `${r.title} ${r.review} ${r.tags.join(' ')}`.toLowerCase();
+                    if (!terms.every(term => haystack.includes(term))) return false;
+                }
+                if (minRating && (r.rating === null || r.rating < minRating)) return false;
+                if (watched.value && !r.watched.startsWith(watched.value)) return false;
+                if (decade.value && decadeOf(r) !== Number(decade.value)) return false;
+                if (tag.value && !r.tags.includes(tag.value)) return false;
+                return true;
+            })
+            .sort(SORTS[sort.value] || SORTS[DEFAULT_SORT]);
+    }
+
+    function renderItem(review) {
+        const item = document.createElement('li');
+        item.className = 'review-item';
+
+        const header = document.createElement('div');
+        header.className = 'review-item-header';
+        const title = document.createElement('a');
+        title.className = 'review-item-title';
+        title.href = `/reviews/${review.slug}.html`;
+        title.textContent = review.year ? `${review.title} (${review.year})` : review.title;
+        header.append(title, createReviewRating(review));
+
+        const meta = document.createElement('div');
+        meta.className = 'review-meta';
+        if (review.watched) meta.append(`Watched ${review.watched}${review.rewatch ? ' · rewatch' : ''}`);
+        review.tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'review-tag';
+            chip.textContent = `#${tag}`;
+            meta.appendChild(chip);
+        });
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = 'Read review';
+        details.appendChild(summary);
+        appendReviewParagraphs(details, review.review);
+        if (review.url) {
+            const link = document.createElement('a');
+            link.className = 'card-link';
+            link.href = review.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = 'Read on Letterboxd →';
+            details.appendChild(link);
+        }
+
+        item.append(header, meta, details);
+        return item;
+    }
+
+    function renderPagination(pageCount) {
+        pagination.innerHTML = '';
+        if (pageCount <= 1) return;
+
+        const addButton = (label, target, { current = false, disabled = false } = {}) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'review-page-btn';
+            button.textContent = label;
+            button.disabled = disabled;
+            button.dataset.page = target;
+            if (current) button.setAttribute('aria-current', 'page');
+            pagination.appendChild(button);
+        };
+
+        addButton('←', page - 1, { disabled: page === 1 });
+        for (let i = 1; i <= pageCount; i++) {
+            // First, last and a window around the current page
+            if (i === 1 || i === pageCount || Math.abs(i - page) <= 1) {
+                addButton(String(i), i, { current: i === page });
+            } else if (Math.abs(i - page) === 2) {
+                const gap = document.createElement('span');
+                gap.className = 'review-page-gap';
+                gap.textContent = '…';
+                pagination.appendChild(gap);
+            }
+        }
+        addButton('→', page + 1, { disabled: page === pageCount });
+    }
+
+    function render() {
+        const results = getFilteredReviews();
+        const { pageSize } = CONFIG.reviews;
+        const pageCount = Math.max(1, Math.ceil(results.length / pageSize));
+        page = Math.min(page, pageCount);
+
+        list.innerHTML = '';
+        results.slice((page - 1) * pageSize, page * pageSize).forEach(review => {
+            list.appendChild(renderItem(review));
         });
+
+        countEl.textContent = results.length === reviews.length
+            ? `${reviews.length} reviews`
+            : `${results.length} of ${reviews.length} reviews`;
+        renderPagination(pageCount);
     }
+
+    // Typing replaces the history entry; discrete filter changes push one
+    const handleSearchInput = debounce(() => {
+        page = 1;
+        writeStateToUrl({ replace: true });
+        render();
+    }, 250);
+
+    form.addEventListener('submit', e => e.preventDefault());
+    form.elements.q.addEventListener('input', handleSearchInput);
+    scope.onDispose(handleSearchInput.cancel);
+    form.addEventListener('change', e => {
+        if (e.target.name === 'q') return;
+        page = 1;
+        writeStateToUrl();
+        render();
+    });
+
+    pagination.addEventListener('click', e => {
+        const button = e.target.closest('.review-page-btn');
+        if (!button || button.disabled) return;
+        page = Number(button.dataset.page);
+        writeStateToUrl();
+        render();
+        list.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    onUrlStateChange(() => {
+        if (!reviews.length) return;
+        readStateFromUrl();
+        render();
+    });
+
+    countEl.textContent = 'Loading reviews…';
+    loadReviews()
+        .then(data => {
+            reviews = data;
+            populateOptions();
+            readStateFromUrl();
+            render();
+        })
+        .catch(error => {
+            console.error('Error loading reviews:', error);
+            countEl.textContent = "Couldn't load the review archive right now.";
+        });
 }
 
 // ============================================
 // SCROLL REVEAL ANIMATIONS
 // ============================================
-function initScrollReveal() {
+function initScrollReveal(scope) {
     // Observe grid items & featured tiles (add .reveal dynamically)
     const dynamicItems = document.querySelectorAll('.grid-item:not(.revealed), .project-tile-featured:not(.revealed)');
     // Also observe any elements that already have .reveal in the HTML
@@ -1448,67 +3615,250 @@ function initScrollReveal() {
         observer.observe(item);
         i++;
     });
+
+    scope.onDispose(() => observer.disconnect());
+}
+
+// ============================================
+// THEME PICKER
+// ============================================
+// Themes are [data-theme] token sets in base.css, listed in src/_data/themes.json
+// (which also renders the picker's options). The saved setting is a theme name
+// or 'system', which follows prefers-color-scheme; the inline script in
+// base.njk applies it before first paint.
+const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+function resolveTheme(setting) {
+    if (setting !== 'system') return setting;
+    return colorSchemeQuery.matches ? 'dark' : 'light';
+}
+
+// Anything drawn from theme tokens outside CSS (the background canvas) listens
+// for `themechange` on document rather than watching the attribute
+function applyTheme(setting) {
+    const theme = resolveTheme(setting);
+    const html = document.documentElement;
+    if (html.getAttribute('data-theme') === theme) return;
+    html.setAttribute('data-theme', theme);
+    document.dispatchEvent(new CustomEvent('themechange', { detail: { theme, setting } }));
+}
+
+// <meta name="theme-color"> tints the browser UI. Pages are built with the dark
+// colour, so it's set again after each navigation brings in a fresh <head>
+function syncThemeColor() {
+    const meta = document.querySelector('meta[name="theme-color"]');
+    const theme = document.documentElement.getAttribute('data-theme');
+    const option = document.querySelector(`[data-theme-option="${theme}"]`);
+    if (meta && option && option.dataset.themeColor) meta.content = option.dataset.themeColor;
+}
+
+function initializeThemePicker(scope) {
+    const picker = document.querySelector('.theme-picker');
+    if (!picker) return;
+
+    const button = picker.querySelector('.theme-picker-button');
+    const menu = picker.querySelector('.theme-menu');
+    const options = Array.from(menu.querySelectorAll('[role="menuitemradio"]'));
+
+    // Unknown or missing (e.g. a theme that has since been removed) means system
+    const getSetting = () => {
+        const saved = localStorage.getItem('theme');
+        return options.some(option => option.dataset.themeOption === saved) ? saved : 'system';
+    };
+
+    const markCurrent = () => {
+        const setting = getSetting();
+        options.forEach(option => {
+            option.setAttribute('aria-checked', String(option.dataset.themeOption === setting));
+        });
+    };
+
+    const openMenu = (focusTarget) => {
+        markCurrent();
+        menu.hidden = false;
+        button.setAttribute('aria-expanded', 'true');
+        const checked = options.find(option => option.getAttribute('aria-checked') === 'true');
+        (focusTarget || checked || options[0]).focus();
+    };
+
+    const closeMenu = ({ restoreFocus = false } = {}) => {
+        if (menu.hidden) return;
+        menu.hidden = true;
+        button.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) button.focus();
+    };
+
+    const choose = (setting) => {
+        localStorage.setItem('theme', setting);
+        applyTheme(setting);
+        markCurrent();
+        closeMenu({ restoreFocus: true });
+    };
+
+    scope.listen(button, 'click', () => {
+        if (menu.hidden) openMenu();
+        else closeMenu();
+    });
+
+    scope.listen(button, 'keydown', (e) => {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        e.preventDefault();
+        openMenu(e.key === 'ArrowDown' ? options[0] : options[options.length - 1]);
+    });
+
+    scope.listen(menu, 'click', (e) => {
+        const option = e.target.closest('[role="menuitemradio"]');
+        if (option) choose(option.dataset.themeOption);
+    });
+
+    // Arrow keys move between options, Escape closes, Tab leaves the menu
+    scope.listen(menu, 'keydown', (e) => {
+        const index = options.indexOf(document.activeElement);
+        const moves = {
+            ArrowDown: index + 1,
+            ArrowUp: index - 1,
+            Home: 0,
+            End: options.length - 1
+        };
+        if (e.key in moves) {
+            e.preventDefault();
+            options[(moves[e.key] + options.length) % options.length].focus();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeMenu({ restoreFocus: true });
+        } else if (e.key === 'Tab') {
+            closeMenu();
+        }
+    });
+
+    scope.listen(document, 'click', (e) => {
+        if (!picker.contains(e.target)) closeMenu();
+    });
+    onNavigate(() => closeMenu());
+
+    scope.listen(document, 'themechange', syncThemeColor);
+    onPageMount(syncThemeColor);
+
+    // Follow the OS while set to system, and other tabs when they change the setting
+    scope.listen(colorSchemeQuery, 'change', () => applyTheme(getSetting()));
+    scope.listen(window, 'storage', (e) => {
+        if (e.key === 'theme') applyTheme(getSetting());
+    });
 }
 
 // ============================================
-// THEME TOGGLE
+// CALM MODE TOGGLE
 // ============================================
-function initializeThemeToggle() {
-    const toggle = document.querySelector('.theme-toggle');
+// Stills the background and CSS animations; persisted like the theme and
+// applied before first paint by the inline script in base.njk
+function initializeMotionToggle(scope) {
+    const toggle = document.querySelector('.motion-toggle');
     if (!toggle) return;
 
-    // Prevent duplicate listeners on SPA navigation
-    if (toggle.dataset.initialized) return;
-    toggle.dataset.initialized = 'true';
+    const html = document.documentElement;
+    const sync = () => toggle.setAttribute('aria-pressed', String(html.dataset.motion === 'calm'));
+    sync();
 
-    toggle.addEventListener('click', () => {
-        const html = document.documentElement;
-        const current = html.getAttribute('data-theme') || 'dark';
-        const next = current === 'dark' ? 'light' : 'dark';
-        html.setAttribute('data-theme', next);
-        localStorage.setItem('theme', next);
+    scope.listen(toggle, 'click', () => {
+        const calm = html.dataset.motion !== 'calm';
+        if (calm) html.dataset.motion = 'calm';
+        else delete html.dataset.motion;
+        localStorage.setItem('motion', calm ? 'calm' : 'full');
+        sync();
     });
 }
 
 // ============================================
-// PAGE INITIALIZERS
+// SERVICE WORKER (offline support)
 // ============================================
-function initializePageScripts() {
-    initializeConstellation();
-    initializeThemeToggle();
-    initializePortfolioModal();
-    initializeTimelineAnimation(); 
-    initializeAccordion();
-    initializeInterestsPage();
-    initializePortfolioFilter();
-    initializeTerminalPortfolio();
-    initializeAlbumDecks();
-    initializeVHSShelf();
-    initializeHamburgerMenu();
-    initializePuzzleGame();
-    initScrollReveal();
-    
-    // Hide puzzle button if not on bio page
-    const puzzleBtn = document.getElementById('puzzle-toggle-btn');
-    if (puzzleBtn) {
-        const onBioPage = !!document.getElementById('bio-puzzle-grid');
-        if (onBioPage) {
-            puzzleBtn.classList.add('visible');
-        } else {
-            puzzleBtn.classList.remove('visible');
-        }
-    }
+// sw.js is generated at build time (see _config/service-worker.js).
+// Skipped on localhost so the dev server always serves fresh files.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    if (['localhost', '127.0.0.1'].includes(window.location.hostname)) return;
+
+    const register = () => navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+    if (document.readyState === 'complete') register();
+    else window.addEventListener('load', register, { once: true });
 }
 
+// ============================================
+// ROUTES
+// ============================================
+// Every page also gets scroll-reveal animations
+const pageFeatures = (...initializers) => (scope, context) => {
+    initializers.forEach(initialize => initialize(scope, context));
+    initScrollReveal(scope);
+};
+
+registerRoute({
+    name: 'home',
+    match: path => path === '/' || path === '/index.html',
+    mount: pageFeatures(initializeHomeIntro)
+});
+
+registerRoute({
+    name: 'portfolio',
+    // Project permalinks render the portfolio with that project open
+    match: path => path === '/portfolio.html' || path.startsWith('/projects/'),
+    key: () => '/portfolio.html',
+    mount: pageFeatures(
+        initializePortfolioModal,
+        initializePortfolioFilter,
+        initializeTerminalPortfolio,
+        initializeAlbumDecks,
+        initializeVHSShelf
+    )
+});
+
+registerRoute({
+    name: 'interests',
+    match: path => path === '/interests.html',
+    mount: pageFeatures(initializeInterestsPage, initializeFilmRoulette, initializeReviewBrowser)
+});
+
+registerRoute({
+    name: 'bio',
+    match: path => path === '/bio.html',
+    mount: pageFeatures(initializePuzzleGame)
+});
+
+registerRoute({
+    name: 'resume',
+    match: path => path === '/resume.html',
+    mount: pageFeatures(initializeTimelineAnimation, initializeAccordion)
+});
+
+// Review pages, 404 and anything else
+registerRoute({
+    name: 'page',
+    match: () => true,
+    mount: pageFeatures()
+});
+
 // ============================================
 // MAIN SETUP
 // ============================================
 function setupPage() {
-    const navMenu = document.querySelector('.nav-menu');
     const navPill = document.querySelector('.nav-pill');
     const navLinks = document.querySelectorAll('.nav-link');
-    
-    const getMainContent = () => document.querySelector('main');
+
+    // The navbar and background live outside <main> and stay mounted for the whole visit
+    const shell = createScope();
+    initializeBackground(shell);
+    initializeThemePicker(shell);
+    initializeMotionToggle(shell);
+    initializeHamburgerMenu(shell);
+
+    // Project permalinks live under Portfolio, review pages under Interests
+    function findNavLink(pathname) {
+        let path = '/' + (pathname.split('/').pop() || 'index.html');
+        if (pathname.startsWith('/projects/')) path = '/portfolio.html';
+        if (pathname.startsWith('/reviews/')) path = '/interests.html';
+        return Array.from(navLinks).find(link => link.getAttribute('href') === path);
+    }
 
     function movePill(target) {
         if (!target || !navPill) return;
@@ -1518,76 +3868,8 @@ function setupPage() {
         target.classList.add('active');
     }
 
-    async function loadPage(url) {
-        // Clean up puzzle game if active before navigating
-        if (window._puzzleCleanup) {
-            window._puzzleCleanup();
-            window._puzzleCleanup = null;
-        }
-        
-        const mainContent = getMainContent();
-        if (mainContent) mainContent.classList.add('is-leaving');
-        
-        return new Promise(resolve => {
-            setTimeout(async () => {
-                try {
-                    const response = await fetch(url);
-                    const text = await response.text();
-                    const parser = new DOMParser();
-                    const newDoc = parser.parseFromString(text, 'text/html');
-                    const newMain = newDoc.querySelector('main');
-
-                    if (newMain && mainContent) {
-                        document.title = newDoc.querySelector('title').textContent;
-                        mainContent.innerHTML = newMain.innerHTML;
-                        mainContent.className = newMain.className;
-                        
-                        if (url.endsWith('index.html') || url.endsWith('/')) {
-                            setupStaticHomePage();
-                        }
-                        
-                        initializePageScripts();
-                        mainContent.classList.remove('is-leaving');
-                    }
-                } catch (error) {
-                    console.error('Error loading page:', error);
-                    if (mainContent) mainContent.classList.remove('is-leaving');
-                }
-                resolve();
-            }, CONFIG.animation.pageTransition);
-        });
-    }
-
-    navMenu.addEventListener('click', e => {
-        const link = e.target.closest('a.nav-link');
-        if (!link) return;
-        e.preventDefault();
-        
-        const currentLink = document.querySelector('.nav-link.active');
-        if (link === currentLink) return;
-
-        const targetPath = link.getAttribute('href');
-        history.pushState({}, '', targetPath);
-        
-        movePill(link);
-        loadPage(targetPath);
-    });
-
-    window.addEventListener('popstate', () => {
-        const targetPath = window.location.pathname.split('/').pop() || 'index.html';
-        const targetLink = Array.from(navLinks).find(link => link.getAttribute('href') === targetPath);
-        if (targetLink) {
-            movePill(targetLink);
-            loadPage(targetPath);
-        }
-    });
-
     function setInitialState() {
-        const currentPath = window.location.pathname.split('/').pop() || 'index.html';
-        const initialActiveLink = Array.from(navLinks).find(link => {
-            const href = link.getAttribute('href');
-            return href === currentPath || href === `/${currentPath}`;
-        });
+        const initialActiveLink = findNavLink(window.location.pathname);
         
         if (initialActiveLink) {
             navPill.style.transition = 'none';
@@ -1600,123 +3882,11 @@ function setupPage() {
         }
     }
 
-    function setupStaticHomePage() {
-        const line1Element = document.getElementById('typed-text-1');
-        const line2Element = document.getElementById('typed-text-2');
-        const taglineElement = document.getElementById('tagline');
-        const introButtons = document.getElementById('intro-buttons');
-
-        if (line1Element) line1Element.textContent = CONFIG.text.introLine1;
-        if (line2Element) {
-            line2Element.innerHTML = CONFIG.text.introLine2 + '<span class="rotating-word">' + CONFIG.text.introRotatingWords[0] + '</span>';
-            startWordRotation(line2Element.querySelector('.rotating-word'));
-        }
-        if (taglineElement) taglineElement.textContent = CONFIG.text.tagline;
-        if (introButtons) introButtons.style.display = 'none';
-        
-        document.body.classList.add('intro-done');
-    }
-
-    function startWordRotation(el) {
-        if (!el) return;
-        const words = CONFIG.text.introRotatingWords;
-        let idx = 0;
-        setInterval(() => {
-            el.classList.add('rotate-out');
-            setTimeout(() => {
-                idx = (idx + 1) % words.length;
-                el.textContent = words[idx];
-                el.classList.remove('rotate-out');
-                el.classList.add('rotate-in');
-                setTimeout(() => el.classList.remove('rotate-in'), 400);
-            }, 300);
-        }, 2500);
-    }
-
-    function runIntroSequence() {
-        const line1Element = document.getElementById('typed-text-1');
-        const line2Element = document.getElementById('typed-text-2');
-        const taglineElement = document.getElementById('tagline');
-        const introButtonsContainer = document.getElementById('intro-buttons');
-
-        if (!line1Element || !line2Element || !introButtonsContainer || !taglineElement) return;
-        
-        taglineElement.style.display = 'none';
-
-        function typeWriter(element, text, callback) {
-            let i = 0;
-            element.textContent = '';
-            element.classList.add('typing-cursor');
-
-            function type() {
-                if (i < text.length) {
-                    element.innerHTML = text.substring(0, i + 1);
-                    i++;
-                    setTimeout(type, CONFIG.animation.typingSpeed);
-                } else {
-                    element.classList.remove('typing-cursor');
-                    if (callback) callback();
-                }
-            }
-            type();
-        }
-
-        typeWriter(line1Element, CONFIG.text.introLine1, () => {
-            typeWriter(line2Element, CONFIG.text.introLine2, () => {
-                // After typing the prefix, add the rotating word
-                const span = document.createElement('span');
-                span.className = 'rotating-word';
-                span.textContent = CONFIG.text.introRotatingWords[0];
-                line2Element.appendChild(span);
-                line2Element.classList.add('typing-cursor');
-                
-                setTimeout(() => {
-                    introButtonsContainer.classList.add('visible');
-                    addIntroButtonListeners();
-                    startWordRotation(span);
-                }, 600);
-            });
-        });
-    }
-    
-    function addIntroButtonListeners() {
-        const introButtons = document.querySelectorAll('.intro-btn');
-        introButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                sessionStorage.setItem('introSeen', 'true');
-                
-                const targetPath = button.getAttribute('href');
-                
-                document.querySelector('.typing-container').classList.add('fade-out');
-                document.getElementById('intro-buttons').classList.add('fade-out');
-                document.body.classList.add('intro-done');
-                
-                setTimeout(() => {
-                    history.pushState({}, '', targetPath);
-                    const targetLink = Array.from(document.querySelectorAll('.nav-link')).find(
-                        link => link.getAttribute('href') === targetPath
-                    );
-                    if (targetLink) movePill(targetLink);
-                    loadPage(targetPath);
-                }, CONFIG.animation.introFadeOut); 
-            });
-        });
-    }
-
-    // Determine if we should run intro or static page
-    const isHomePage = window.location.pathname.endsWith('index.html') || 
-                       window.location.pathname.endsWith('/') ||
-                       window.location.pathname === '';
-    
-    if (!sessionStorage.getItem('introSeen') && isHomePage) {
-        runIntroSequence();
-    } else {
-        setupStaticHomePage();
-    }
+    onNavigate(url => movePill(findNavLink(url.pathname)));
 
     setInitialState();
-    initializePageScripts();
+    startRouter();
+    registerServiceWorker();
 }
 
 // ============================================
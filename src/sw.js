@@ -0,0 +1,129 @@
+/**
+ * Service worker (offline support)
+ *
+ * Built by _config/service-worker.js, which prepends VERSION and
+ * PRECACHE_MANIFEST: the app shell (top-level pages, stylesheets, scripts,
+ * icons) and the offline page.
+ *
+ * - Pages and data files, navigations and the router's fetches alike: network
+ *   first, then the last visit's copy or the precache, then /offline.html
+ * - Album photos and video posters: cached the first time they're viewed
+ * - Google Fonts: served from cache while revalidating
+ * - Static assets from the build: precache first (the precache is per build)
+ */
+
+const PRECACHE = `precache-${VERSION}`;
+const PAGE_CACHE = 'visited-pages';
+const PAGE_CACHE_LIMIT = 50;
+const PHOTO_CACHE = 'album-photos';
+const PHOTO_CACHE_LIMIT = 60;
+const PHOTO_PATHS = ['/assets/photos/', '/assets/posters/'];
+const FONT_CACHE = 'fonts';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const OFFLINE_URL = '/offline.html';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(
+                PRECACHE_MANIFEST.map(entry => new Request(entry.url, { cache: 'reload' }))
+            ))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop precaches from earlier builds (runtime caches carry over)
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('precache-') && key !== PRECACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// "/" is precached as "/index.html"; query strings (?section=...) don't
+// change what the server sends
+function precacheKey(url) {
+    return url.pathname.endsWith('/') ? `${url.pathname}index.html` : url.pathname;
+}
+
+async function fromPrecache(url) {
+    const cache = await caches.open(PRECACHE);
+    return cache.match(precacheKey(url));
+}
+
+// HTML and JSON change with every deploy, whether the browser navigates to
+// them or the router fetches them (e.g. /reviews.json)
+function isPageRequest(request, url) {
+    return request.mode === 'navigate' || url.pathname.endsWith('/') || /\.(html|json)$/.test(url.pathname);
+}
+
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+async function networkFirstPage(request, url) {
+    const cache = await caches.open(PAGE_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(precacheKey(url), response.clone());
+            await trimCache(cache, PAGE_CACHE_LIMIT);
+        }
+        return response;
+    } catch (error) {
+        const cached = (await cache.match(precacheKey(url))) || (await fromPrecache(url));
+        if (cached) return cached;
+        // Data files have no offline page to stand in for them
+        return (!url.pathname.endsWith('.json') && await caches.match(OFFLINE_URL)) || Response.error();
+    }
+}
+
+async function cacheFirstPhoto(request) {
+    const cache = await caches.open(PHOTO_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        await trimCache(cache, PHOTO_CACHE_LIMIT);
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+    const network = fetch(event.request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (!cached) return network;
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, FONT_CACHE));
+        return;
+    }
+    if (url.origin !== self.location.origin) return;
+
+    if (isPageRequest(request, url)) {
+        event.respondWith(networkFirstPage(request, url));
+    } else if (PHOTO_PATHS.some(prefix => url.pathname.startsWith(prefix))) {
+        event.respondWith(cacheFirstPhoto(request));
+    } else {
+        event.respondWith(fromPrecache(url).then(cached => cached || fetch(request)));
+    }
+});